@@ -0,0 +1,133 @@
+/**
+ * archiving.js
+ * Stale tab archiving: tabs unused for N days, rarely opened and weakly related to the rest are proposed;
+ * archiving closes them but keeps their tabs_index record (AI content, relationships) with archivedAt set
+ * Archived tabs stay searchable with closed tabs and are restored with reopenClosedTab
+ */
+
+import { db } from './db.js';
+import { storage } from './storage.js';
+import { isAccessibleUrl } from './lite-mode.js';
+import { filterExcludedTabs } from './exclusions.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const STRONG_RELATIONSHIP = 0.7;   // still tied to other open tabs: not proposed
+const FREQUENT_ACCESS = 20;
+
+/**
+ * Strongest relationship of each record with an open tab
+ */
+function getStrongestLinks(relationships, openRecordIds) {
+  const strongest = new Map();
+  const keep = (id, strength) => strongest.set(id, Math.max(strongest.get(id) || 0, strength));
+
+  relationships.forEach(rel => {
+    if (openRecordIds.has(rel.tab2Id)) keep(rel.tab1Id, rel.strength);
+    if (openRecordIds.has(rel.tab1Id)) keep(rel.tab2Id, rel.strength);
+  });
+
+  return strongest;
+}
+
+/**
+ * Open tabs to archive, most stale first
+ * score = staleness (0.5) + rarely opened (0.25) + weakly related (0.25)
+ */
+async function getArchiveRecommendations() {
+  const days = await storage.getArchiveAfterDays();
+  const now = Date.now();
+
+  const tabs = (await chrome.tabs.query({}))
+    .filter(tab => !tab.active && !tab.pinned && !tab.audible && isAccessibleUrl(tab.url));
+  const records = new Map((await db.getActiveTabs()).map(record => [record.tabId, record]));
+  const strongest = getStrongestLinks(
+    await db.getAllRelationships(),
+    new Set([...records.values()].map(record => record.id))
+  );
+
+  const recommendations = (await filterExcludedTabs(tabs))
+    .map(tab => {
+      // Without a record there is nothing to keep
+      const record = records.get(tab.id);
+      if (!record) return null;
+
+      // Chrome's lastAccessed first: record dates start at indexing time
+      const lastUsed = tab.lastAccessed || record.lastAccessedAt || 0;
+      const idleDays = Math.floor((now - lastUsed) / DAY);
+      const strength = strongest.get(record.id) || 0;
+      if (idleDays < days || strength >= STRONG_RELATIONSHIP) return null;
+
+      const accessCount = record.accessCount || 0;
+      const score =
+        0.5 * Math.min(idleDays / (days * 4), 1) +
+        0.25 * (1 - Math.min(accessCount / FREQUENT_ACCESS, 1)) +
+        0.25 * (1 - strength);
+
+      return {
+        id: tab.id,
+        recordId: record.id,
+        title: tab.title,
+        url: tab.url,
+        favIconUrl: tab.favIconUrl,
+        windowId: tab.windowId,
+        idleDays,
+        accessCount,
+        strength,
+        score
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+
+  return { days, tabs: recommendations };
+}
+
+/**
+ * Archive open tabs: mark their records archived, then close them
+ */
+async function archiveTabs(tabIds) {
+  const now = Date.now();
+  const archivedTabIds = [];
+
+  for (const tabId of tabIds) {
+    const record = await db.getTabByTabId(tabId);
+    if (!record) continue;
+
+    await db.updateTab(record.id, {
+      archivedAt: now,
+      closedAt: now,
+      flags: { ...record.flags, isActive: false }
+    });
+    archivedTabIds.push(tabId);
+  }
+
+  if (archivedTabIds.length > 0) {
+    await chrome.tabs.remove(archivedTabIds);
+    await storage.clearSuggestionsCache();
+  }
+
+  console.log(`📦 Archived ${archivedTabIds.length} tabs`);
+  return { archivedCount: archivedTabIds.length };
+}
+
+/**
+ * Archived tabs, most recently archived first
+ */
+async function getArchivedTabs() {
+  const records = await filterExcludedTabs(await db.getArchivedTabs());
+
+  return records.map(record => ({
+    recordId: record.id,
+    title: record.title,
+    url: record.url,
+    favIconUrl: record.favicon,
+    summary: record.content?.summary || null,
+    archivedAt: record.archivedAt
+  }));
+}
+
+export {
+  getArchiveRecommendations,
+  archiveTabs,
+  getArchivedTabs
+};
@@ -4,18 +4,61 @@
 
 // Import direct (files must export)
 import { db } from './db.js';
-import { storage } from './storage.js';
+import { storage, DEFAULT_SCORING_WEIGHTS } from './storage.js';
 import { TFIDF } from './tfidf.js';
 import { getLiteSuggestions, buildTFIDFIndex, isAccessibleUrl } from './lite-mode.js';
 import { getHybridSuggestions } from './hybrid-scoring.js';
 import { FuzzySearch } from './fuzzy-search.js';
+import { ContentSearch } from './content-search.js';
 import { startColdStart, pauseColdStart } from './cold-start.js';
 import { queueTabForIndexing, initOnlineSessions, areOnlineSessionsReady } from './online-indexing.js';
-import { createBasicRelationships, applyRelationshipDecay } from './relationships.js';
-import { updateWorkflows, getWorkflowSuggestions } from './workflows.js';
+import { createBasicRelationships, applyRelationshipDecay, getRelatedTabs } from './relationships.js';
+import { updateWorkflows, getWorkflowSuggestions, predictNextSteps } from './workflows.js';
+import { setPrivacyMode } from './privacy.js';
+import { getExclusionPatterns, addExclusion, removeExclusion, matchesPattern } from './exclusions.js';
+import { exportData, importData } from './data-transfer.js';
+import { searchClosedTabs, reopenClosedTab } from './closed-tabs.js';
+import { runNaturalQuery } from './nl-query.js';
+import { searchPalette } from './palette.js';
+import {
+  closeTabs,
+  togglePinTabs,
+  toggleMuteTabs,
+  moveTabsToNewWindow,
+  getTabGroups,
+  groupTabs,
+  getTabUrls,
+  duplicateTabs
+} from './tab-actions.js';
+import { suggestTabGroups, applyTabGroups } from './tab-grouping.js';
+import { updateClusters, scheduleClusterUpdate, getClusters } from './clustering.js';
+import { findDuplicates, closeDuplicates } from './duplicates.js';
+import { getArchiveRecommendations, archiveTabs, getArchivedTabs } from './archiving.js';
+import { discardLeastRelevantTabs, relinkReplacedTab } from './tab-discarding.js';
+import {
+  getWorkspaceSources,
+  saveWorkspace,
+  listWorkspaces,
+  openWorkspace,
+  switchWorkspace,
+  deleteWorkspace,
+  forgetWorkspaceWindow
+} from './workspaces.js';
+import {
+  recordTabActivation,
+  stepTabHistory,
+  getTabHistory,
+  replaceTabInHistory,
+  forgetWindowHistory,
+  clearTabHistory
+} from './mru-history.js';
+import { explainSuggestions } from './score-explanation.js';
 
-const navigationStack = [];
+const HISTORY_OVERLAY_SIZE = 8;   // recent tabs shown by the quick-return overlay
 const fuzzySearch = new FuzzySearch();
+const contentSearch = new ContentSearch();
+let searchableTabs = new Map(); // Chrome tab id → tab indexed for the modal search
+let tabBudgetTimeout = null;    // debounced memory budget pass
 
 // Initialisation au démarrage
 chrome.runtime.onInstalled.addListener(async () => {
@@ -42,6 +85,9 @@ chrome.runtime.onInstalled.addListener(async () => {
     updateWorkflows();
     setInterval(() => updateWorkflows(), 6 * 60 * 60 * 1000);
     
+    // Projects of the tabs restored at startup
+    updateClusters();
+    
   } catch (error) {
     console.error('âŒ Taby: Error initialisation', error);
   }
@@ -68,14 +114,14 @@ chrome.commands.onCommand.addListener(async (command) => {
       // Cmd+Shift+L = ouvre modal Taby
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       await openTabyModal(tab);
-    } else if (command === "quick-return") {
-      if (navigationStack.length > 0) {
-        const previousTabInfo = navigationStack.pop();
-        if (previousTabInfo && previousTabInfo.id) {
-          chrome.tabs.update(previousTabInfo.id, { active: true });
-          chrome.windows.update(previousTabInfo.windowId, { focused: true });
-        }
-      }
+    } else if (command === "quick-return" || command === "quick-forward") {
+      // Back/forward through the recent tabs of the current window
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tab) await cycleTabHistory(tab, command === "quick-return" ? 'back' : 'forward');
+    } else if (command === "open-side-panel") {
+      // Side panel of the current window (a command counts as a user gesture)
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tab) chrome.sidePanel.open({ windowId: tab.windowId });
     } else if (command === "open-popup") {
       // Cmd+Shift+P = ouvre popup
       chrome.windows.create({
@@ -94,10 +140,193 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === "switch-tab") {
     handleTabSwitch(request, sender);
     sendResponse({ success: true });
+  } else if (request.action === "select-recent-tab") {
+    // Recent tabs overlay: a regular activation (the tab becomes the most recent)
+    chrome.tabs.update(request.tabId, { active: true })
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "search-closed-tabs") {
+    searchClosedTabs(request.query).then(results => sendResponse({ results }));
+    return true;
+  } else if (request.action === "reopen-closed-tab") {
+    reopenClosedTab(request.recordId, request.sourceWindowId ?? sender.tab?.windowId)
+      .then(tab => sendResponse({ success: true, tabId: tab.id }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "get-switcher-data") {
+    // Switcher window opened from a restricted page (request.tabId)
+    chrome.tabs.get(request.tabId)
+      .then(tab => getModalData(tab))
+      .then(data => sendResponse({ success: true, ...data }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
   } else if (request.action === "fuzzy-search") {
-    // Recherche fuzzy en temps réel
-    const results = fuzzySearch.search(request.query, 5);
-    sendResponse({ results });
+    // Recherche fuzzy en temps réel + contenu indexé (résumé, entités, topics)
+    const results = searchTabs(request.query);
+    sendResponse({
+      results,
+      // Positions à surligner (résultats + matches locaux du modal)
+      highlights: getSearchHighlights(request.query, [...results.map(r => r.id), ...(request.tabIds || [])]),
+      // "Did you mean" quand peu de résultats
+      correction: results.length < 3 ? getSearchCorrection(request.query) : null
+    });
+  } else if (request.action === "natural-query") {
+    // "?" queries from the modal: Prompt API filters, keyword fallback
+    runNaturalQuery(request.query)
+      .then(response => sendResponse(response))
+      .catch(error => sendResponse({ results: [], error: error.message }));
+    return true;
+  } else if (request.action === "palette-search") {
+    // Modal prefixes: @ domain/app, # topic/tag, / workflows
+    searchPalette(request.prefix, request.term)
+      .then(response => sendResponse({ success: true, ...response }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "open-options") {
+    // Content scripts can't open the options page themselves
+    chrome.runtime.openOptionsPage().then(() => sendResponse({ success: true }));
+    return true;
+  } else if (request.action === "clear-data") {
+    clearAllData()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "get-clusters") {
+    // Project clusters of open tabs ("you have 4 projects open")
+    getClusters()
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "find-duplicates") {
+    // Duplicate groups of open tabs (popup, modal command)
+    findDuplicates()
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "close-duplicates") {
+    // keys = groups to close (all when omitted)
+    closeDuplicates(request.keys || null)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "get-archive-recommendations") {
+    // Stale tabs to archive (modal command)
+    getArchiveRecommendations()
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "archive-tabs") {
+    archiveTabs(request.tabIds || [])
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "get-archived-tabs") {
+    // Restored with reopen-closed-tab
+    getArchivedTabs()
+      .then(tabs => sendResponse({ success: true, tabs }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "get-workspace-sources") {
+    // Window, tab groups and projects that can be saved as a workspace
+    resolveWindowId(request.windowId ?? request.sourceWindowId ?? sender.tab?.windowId)
+      .then(windowId => getWorkspaceSources(windowId))
+      .then(sources => sendResponse({ success: true, sources }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "save-workspace") {
+    // source = { groupId } | { clusterId }, else the window
+    resolveWindowId(request.windowId ?? request.sourceWindowId ?? sender.tab?.windowId)
+      .then(windowId => saveWorkspace(request.name, { windowId, ...request.source }))
+      .then(workspace => sendResponse({ success: true, workspace }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "get-workspaces") {
+    listWorkspaces()
+      .then(workspaces => sendResponse({ success: true, workspaces }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "open-workspace") {
+    openWorkspace(request.workspaceId)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "switch-workspace") {
+    // Modal: save the workspace of this window, open the other one, close this window
+    switchWorkspace(request.workspaceId, request.sourceWindowId ?? sender.tab?.windowId ?? null)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "delete-workspace") {
+    deleteWorkspace(request.workspaceId)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "get-tab-context") {
+    // Side panel: related tabs, workflow next steps and AI content of the active tab
+    getTabContext(request.tabId)
+      .then(context => sendResponse({ success: true, context }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "get-tab-preview") {
+    // Preview pane (modal): open tab (tabId) or closed tab (recordId)
+    getTabPreview(request)
+      .then(preview => sendResponse({ success: true, preview }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "close-tabs") {
+    // Action menu (modal): tabIds = selected tab(s)
+    closeTabs(request.tabIds)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "pin-tabs") {
+    togglePinTabs(request.tabIds)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "mute-tabs") {
+    toggleMuteTabs(request.tabIds)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "move-tabs-to-new-window") {
+    moveTabsToNewWindow(request.tabIds)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "get-tab-groups") {
+    getTabGroups(request.sourceWindowId ?? sender.tab?.windowId)
+      .then(groups => sendResponse({ success: true, groups }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "group-tabs") {
+    groupTabs(request.tabIds, request.groupId ?? null)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "suggest-tab-groups") {
+    // Popup (last focused window) or modal (window of the page)
+    resolveWindowId(request.windowId ?? request.sourceWindowId ?? sender.tab?.windowId)
+      .then(windowId => suggestTabGroups(windowId))
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "apply-tab-groups") {
+    applyTabGroups(request.groups || [])
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "copy-tab-urls") {
+    getTabUrls(request.tabIds)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "duplicate-tabs") {
+    duplicateTabs(request.tabIds)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
   } else if (request.action === "get-stats") {
     // Stats for popup
     getStats().then(stats => sendResponse({ stats }));
@@ -118,20 +347,104 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     // Get workflow statistics
     getWorkflowStatsHandler().then(stats => sendResponse({ stats }));
     return true;
+  } else if (request.action === "get-scoring-weights") {
+    // Weights for options page
+    storage.getScoringWeights().then(weights => sendResponse({ weights, defaults: DEFAULT_SCORING_WEIGHTS }));
+    return true;
+  } else if (request.action === "save-scoring-weights") {
+    storage.updateScoringWeights(request.weights).then(weights => sendResponse({ success: true, weights }));
+    return true;
+  } else if (request.action === "preview-scoring-weights") {
+    // Live re-ranking while dragging sliders
+    previewScoringWeights(request.weights).then(preview => sendResponse({ preview }));
+    return true;
+  } else if (request.action === "get-privacy-mode") {
+    storage.isPrivacyModeEnabled().then(enabled => sendResponse({ enabled }));
+    return true;
+  } else if (request.action === "set-privacy-mode") {
+    setPrivacyMode(request.enabled).then(enabled => sendResponse({ success: true, enabled }));
+    return true;
+  } else if (request.action === "get-theme") {
+    storage.getThemePreferences().then(theme => sendResponse({ theme }));
+    return true;
+  } else if (request.action === "set-theme") {
+    // Options page: theme and/or accentColor
+    const updates = {};
+    if (typeof request.theme === 'string') updates.theme = request.theme;
+    if (typeof request.accentColor === 'string') updates.accentColor = request.accentColor;
+    storage.updatePreferences(updates)
+      .then(() => storage.getThemePreferences())
+      .then(theme => sendResponse({ success: true, theme }));
+    return true;
+  } else if (request.action === "get-archive-days") {
+    storage.getArchiveAfterDays().then(days => sendResponse({ days }));
+    return true;
+  } else if (request.action === "set-archive-days") {
+    setArchiveDays(request.days)
+      .then(days => sendResponse({ success: true, days }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "get-max-loaded-tabs") {
+    storage.getMaxLoadedTabs().then(maxLoadedTabs => sendResponse({ maxLoadedTabs }));
+    return true;
+  } else if (request.action === "set-max-loaded-tabs") {
+    setMaxLoadedTabs(request.maxLoadedTabs)
+      .then(maxLoadedTabs => sendResponse({ success: true, maxLoadedTabs }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "get-exclusions") {
+    getExclusionPatterns().then(patterns => sendResponse({ patterns }));
+    return true;
+  } else if (request.action === "add-exclusion") {
+    addExclusionHandler(request.pattern)
+      .then(patterns => sendResponse({ success: true, patterns }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "remove-exclusion") {
+    removeExclusion(request.pattern).then(patterns => sendResponse({ success: true, patterns }));
+    return true;
+  } else if (request.action === "exclude-site") {
+    // "Exclude this site" from the modal
+    let hostname = '';
+    try {
+      hostname = new URL(request.url).hostname.replace(/^www\./, '');
+    } catch (error) {
+      // Missing or malformed URL: answered below
+    }
+    if (!hostname) {
+      // file:, data: pages... have no site to exclude
+      sendResponse({ success: false, error: 'This page has no site to exclude' });
+      return true;
+    }
+    addExclusionHandler(hostname)
+      .then(() => sendResponse({ success: true, pattern: hostname }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "export-data") {
+    exportData()
+      .then(data => sendResponse({ success: true, data }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === "import-data") {
+    // mode: 'merge' | 'replace'
+    importData(request.data, request.mode)
+      .then(summary => sendResponse({ success: true, summary }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
   }
   return true;
 });
 
 async function handleTabSwitch(request, sender) {
-  // Push to navigation stack
-  if (sender.tab) {
-    if (navigationStack.length === 0 || navigationStack[navigationStack.length - 1].id !== sender.tab.id) {
-      navigationStack.push({ id: sender.tab.id, windowId: sender.tab.windowId });
-    }
-    
+  // Switcher window: the source is the restricted page it was opened from
+  const sourceTab = request.sourceTabId
+    ? await chrome.tabs.get(request.sourceTabId).catch(() => null)
+    : sender.tab;
+
+  if (sourceTab) {
     // Record la navigation in DB
     try {
-      const fromTab = await db.getTabByTabId(sender.tab.id);
+      const fromTab = await db.getTabByTabId(sourceTab.id);
       const toTab = await db.getTabByTabId(request.tabId);
       
       if (fromTab && toTab) {
@@ -147,14 +460,14 @@ async function handleTabSwitch(request, sender) {
         });
         
         // Crée/renforce relationship
-        await createBasicRelationships(sender.tab.id, request.tabId, 'navigation');
+        await createBasicRelationships(sourceTab.id, request.tabId, 'navigation');
       }
     } catch (error) {
       console.error('Error tracking navigation:', error);
     }
   }
   
-  // Switch
+  // Switch (a discarded tab reloads when activated)
   chrome.tabs.update(request.tabId, { active: true });
   if (request.windowId) {
     chrome.windows.update(request.windowId, { focused: true });
@@ -169,6 +482,23 @@ async function handleTabSwitch(request, sender) {
  */
 chrome.tabs.onCreated.addListener(async (tab) => {
   console.log('ðŸ†• Nouveau tab créé:', tab.id);
+  scheduleTabBudget();
+});
+
+// A closed window no longer shows its workspace
+chrome.windows.onRemoved.addListener((windowId) => {
+  forgetWorkspaceWindow(windowId).catch(error => console.error('Error forgetting workspace window:', error));
+  forgetWindowHistory(windowId).catch(error => console.error('Error forgetting window history:', error));
+});
+
+// Discarded (older Chrome) or prerendered tabs come back with a new id
+chrome.tabs.onReplaced.addListener(async (addedTabId, removedTabId) => {
+  try {
+    await relinkReplacedTab(addedTabId, removedTabId);
+    await replaceTabInHistory(addedTabId, removedTabId);
+  } catch (error) {
+    console.error('Error relinking replaced tab:', error);
+  }
 });
 
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
@@ -200,9 +530,16 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
       queueTabForIndexing(tab, 'normal');
     } else {
       // Met Ã  jour le tabId Chrome (peut avoir changé)
-      if (existingTab.tabId !== tabId) {
+      // (imported records start unlinked and inactive)
+      if (existingTab.tabId !== tabId || !existingTab.flags?.isActive) {
         console.log(`ðŸ”„ [Online] Mise Ã  jour tabId: ${existingTab.tabId} â†’ ${tabId}`);
-        await db.updateTab(existingTab.id, { tabId: tabId });
+        await db.updateTab(existingTab.id, {
+          tabId: tabId,
+          closedAt: null,
+          archivedAt: null,
+          flags: { ...existingTab.flags, isActive: true }
+        });
+        scheduleClusterUpdate();
       }
       console.log(`â­ï¸ [Online] Tab existe déjÃ , pas d'indexation`);
     }
@@ -217,6 +554,7 @@ chrome.tabs.onRemoved.addListener(async (tabId) => {
     const dbEntry = await db.getTabByTabId(tabId);
     if (dbEntry) {
       await db.updateTab(dbEntry.id, {
+        closedAt: Date.now(),
         flags: {
           ...dbEntry.flags,
           isActive: false
@@ -226,9 +564,15 @@ chrome.tabs.onRemoved.addListener(async (tabId) => {
   } catch (error) {
     console.error('Error marquage tab inactif:', error);
   }
+
+  scheduleClusterUpdate();
 });
 
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
+  // Recent tabs of the window (quick-return), recorded in activation order
+  recordTabActivation(activeInfo.tabId, activeInfo.windowId)
+    .catch(error => console.error('Error recording tab history:', error));
+
   await storage.setCurrentTab(activeInfo.tabId);
   console.log('âœ¨ Tab activé:', activeInfo.tabId);
   
@@ -244,15 +588,107 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
   } catch (error) {
     console.error('Error mise Ã  jour lastAccessed:', error);
   }
+
+  scheduleTabBudget();
 });
 
+/**
+ * Add the same-window bonus and re-sort
+ */
+function applySameWindowBonus(suggestions, windowId, bonus) {
+  if (!bonus) return suggestions;
+
+  return suggestions
+    .map(s => (s.windowId === windowId
+      ? { ...s, score: s.score + bonus, scoreBreakdown: s.scoreBreakdown && { ...s.scoreBreakdown, sameWindowBonus: bonus } }
+      : s))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Window labels for the modal ("This window", "Window 2"...)
+ */
+async function getWindowLabels(currentWindowId) {
+  const windows = await chrome.windows.getAll({ windowTypes: ['normal'] });
+  const labels = {};
+
+  windows
+    .sort((a, b) => a.id - b.id)
+    .forEach((win, index) => {
+      labels[win.id] = win.id === currentWindowId ? 'This window' : `Window ${index + 1}`;
+    });
+
+  return labels;
+}
+
+/**
+ * Scores of the other tabs for a tab (hybrid or lite, workflow and same-window bonuses), best first
+ * No cache read or write: also used by the memory budget
+ */
+async function scoreTabs(currentTab, allTabs) {
+  // Check if AI data exists (privacy mode = titles, URLs and behavior only)
+  const privacyMode = await storage.isPrivacyModeEnabled();
+  const hasAIData = !privacyMode && await checkIfAnyTabsIndexd();
+
+  // Récupère prédiction workflow (si disponible)
+  const workflowSuggestions = await getWorkflowSuggestions(currentTab.id);
+  const workflowPrediction = workflowSuggestions.length > 0 ? {
+    tab: workflowSuggestions[0],
+    confidence: workflowSuggestions[0].score || 0.7,
+    reason: workflowSuggestions[0].reason
+  } : null;
+
+  if (workflowPrediction) {
+    console.log('🔮 Workflow prediction:', workflowPrediction.tab.title);
+  }
+
+  let suggestions;
+
+  if (hasAIData) {
+    // Mode Hybrid : utilise données AI + workflow bonus
+    console.log('🎯 Mode Hybrid activated');
+    suggestions = await getHybridSuggestions(currentTab, allTabs, workflowPrediction);
+  } else {
+    // Mode Lite : TF-IDF + comportement
+    console.log('⚡ Mode Lite activated');
+    suggestions = await getLiteSuggestions(currentTab, allTabs);
+
+    // Ajoute workflow bonus en lite mode aussi
+    if (workflowPrediction) {
+      suggestions = suggestions.map(s => {
+        if (s.id === workflowPrediction.tab.id) {
+          const workflowBonus = 0.3 * workflowPrediction.confidence;
+          return {
+            ...s,
+            score: s.score + workflowBonus,
+            scoreBreakdown: { ...s.scoreBreakdown, workflowBonus },
+            reason: 'Part of workflow pattern'
+          };
+        }
+        return s;
+      });
+      // Re-sort after bonus with stable sort
+      suggestions.sort((a, b) => {
+        const scoreDiff = b.score - a.score;
+        return scoreDiff !== 0 ? scoreDiff : a.id - b.id;
+      });
+    }
+  }
+  
+  // Bonus tabs de la même fenêtre (réglable dans les options)
+  const weights = await storage.getScoringWeights();
+  suggestions = applySameWindowBonus(suggestions, currentTab.windowId, weights.bonuses.sameWindow);
+
+  return { suggestions, mode: hasAIData ? 'hybrid' : 'lite', weights };
+}
+
 /**
  * Récupère suggestions for un tab
  */
 async function getSuggestionsForTab(tabId) {
   try {
-    // Get all tabs to check context
-    const allTabs = await chrome.tabs.query({ currentWindow: true });
+    // Get all tabs (all windows) to check context
+    const allTabs = await chrome.tabs.query({});
     const currentTab = allTabs.find(t => t.id === tabId);
 
     if (!currentTab) return allTabs;
@@ -283,51 +719,10 @@ async function getSuggestionsForTab(tabId) {
     // Update tab count for future context detection
     await storage.setLastTabCount(tabCount);
 
-    // Check if AI data exists
-    const hasAIData = await checkIfAnyTabsIndexd();
-
-    // Récupère prédiction workflow (si disponible)
-    const workflowSuggestions = await getWorkflowSuggestions(tabId);
-    const workflowPrediction = workflowSuggestions.length > 0 ? {
-      tab: workflowSuggestions[0],
-      confidence: workflowSuggestions[0].score || 0.7,
-      reason: workflowSuggestions[0].reason
-    } : null;
-
-    if (workflowPrediction) {
-      console.log('🔮 Workflow prediction:', workflowPrediction.tab.title);
-    }
+    const scored = await scoreTabs(currentTab, allTabs);
 
-    let suggestions;
-
-    if (hasAIData) {
-      // Mode Hybrid : utilise données AI + workflow bonus
-      console.log('🎯 Mode Hybrid activated');
-      suggestions = await getHybridSuggestions(currentTab, allTabs, workflowPrediction);
-    } else {
-      // Mode Lite : TF-IDF + comportement
-      console.log('⚡ Mode Lite activated');
-      suggestions = await getLiteSuggestions(currentTab, allTabs);
-
-      // Ajoute workflow bonus en lite mode aussi
-      if (workflowPrediction) {
-        suggestions = suggestions.map(s => {
-          if (s.id === workflowPrediction.tab.id) {
-            return {
-              ...s,
-              score: s.score + (0.3 * workflowPrediction.confidence),
-              reason: 'Part of workflow pattern'
-            };
-          }
-          return s;
-        });
-        // Re-sort after bonus with stable sort
-        suggestions.sort((a, b) => {
-          const scoreDiff = b.score - a.score;
-          return scoreDiff !== 0 ? scoreDiff : a.id - b.id;
-        });
-      }
-    }
+    // "Why this suggestion" (shown in the modal)
+    const suggestions = await explainSuggestions(currentTab, scored.suggestions, scored.mode, scored.weights[scored.mode]);
     
     // Get les tabs non scored
     const scoredIds = new Set(suggestions.map(s => s.id));
@@ -343,8 +738,12 @@ async function getSuggestionsForTab(tabId) {
     
   } catch (error) {
     console.error('Error suggestions:', error);
-    const allTabs = await chrome.tabs.query({ currentWindow: true });
-    return allTabs.filter(t => t.id !== tabId);
+    // Unscored tabs of every window, this window's first (as with the same-window bonus)
+    const allTabs = await chrome.tabs.query({});
+    const windowId = allTabs.find(t => t.id === tabId)?.windowId;
+    return allTabs
+      .filter(t => t.id !== tabId)
+      .sort((a, b) => (b.windowId === windowId) - (a.windowId === windowId));
   }
 }
 
@@ -403,31 +802,397 @@ async function getWorkflowStatsHandler() {
   return await getWorkflowStats();
 }
 
+/**
+ * Add an exclusion and purge what was already stored for matching URLs
+ */
+async function addExclusionHandler(pattern) {
+  const patterns = await addExclusion(pattern);
+  await purgeExcludedTabs(pattern);
+  return patterns;
+}
+
+/**
+ * Delete stored records (tab, relationships, navigation, TF-IDF) matching a pattern
+ */
+async function purgeExcludedTabs(pattern) {
+  try {
+    const allEntries = await db.getAllTabs();
+    const excludedEntries = allEntries.filter(entry => matchesPattern(entry.url, pattern));
+
+    if (excludedEntries.length === 0) return;
+
+    for (const entry of excludedEntries) {
+      await db.deleteRelationshipsForTab(entry.id);
+      await db.deleteNavigationsForTab(entry.id);
+      await db.deleteTab(entry.id);
+    }
+
+    // Remove extracted text from TF-IDF index
+    const indexData = await storage.getTFIDFIndex();
+    if (indexData) {
+      const tfidf = TFIDF.deserialize(indexData);
+      excludedEntries.forEach(entry => tfidf.removeDocument(entry.tabId));
+      await storage.saveTFIDFIndex(tfidf.serialize());
+    }
+
+    await storage.clearSuggestionsCache();
+    scheduleClusterUpdate();
+    console.log(`🚫 Purged ${excludedEntries.length} excluded tabs (${pattern})`);
+  } catch (error) {
+    console.error('Error purging excluded tabs:', error);
+  }
+}
+
+/**
+ * Options page: days without use before archiving is proposed (whole days, 1 to 365)
+ */
+async function setArchiveDays(days) {
+  if (!Number.isInteger(days) || days < 1 || days > 365) {
+    throw new Error('Enter a number of days between 1 and 365');
+  }
+  await storage.updatePreferences({ archiveAfterDays: days });
+  return days;
+}
+
+/**
+ * Options page: tabs kept loaded before discarding (0 = off, else 3 to 200)
+ */
+async function setMaxLoadedTabs(maxLoadedTabs) {
+  if (!Number.isInteger(maxLoadedTabs) || (maxLoadedTabs !== 0 && (maxLoadedTabs < 3 || maxLoadedTabs > 200))) {
+    throw new Error('Enter 0 (off) or a number of tabs between 3 and 200');
+  }
+  await storage.updatePreferences({ maxLoadedTabs });
+  scheduleTabBudget();
+  return maxLoadedTabs;
+}
+
+/**
+ * Memory budget: discard the tabs least relevant to the active one (suggestion scores,
+ * workflow bonus included), never the next steps of the current workflow
+ */
+async function enforceTabBudget() {
+  const budget = await storage.getMaxLoadedTabs();
+  if (!budget) return { discardedCount: 0 };
+
+  const relevance = new Map();
+  const protectedIds = new Set();
+
+  const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  if (activeTab) {
+    // Scored directly: the modal's suggestions cache is left alone
+    const { suggestions } = await scoreTabs(activeTab, await chrome.tabs.query({}));
+    suggestions.forEach(s => relevance.set(s.id, s.score));
+
+    const prediction = await predictNextSteps(activeTab.id);
+    (prediction?.steps || []).forEach(step => {
+      if (step.tabId) protectedIds.add(step.tabId);
+    });
+  }
+
+  return discardLeastRelevantTabs(budget, relevance, protectedIds);
+}
+
+/**
+ * Run the budget shortly (tab switches come in bursts)
+ */
+function scheduleTabBudget() {
+  clearTimeout(tabBudgetTimeout);
+  tabBudgetTimeout = setTimeout(() => {
+    tabBudgetTimeout = null;
+    enforceTabBudget().catch(error => console.error('Error enforcing tab budget:', error));
+  }, 10000);
+}
+
+/**
+ * Given window, or the last focused browser window (popup)
+ */
+async function resolveWindowId(windowId) {
+  if (windowId) return windowId;
+  const lastFocused = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+  return lastFocused.id;
+}
+
+/**
+ * Delete everything Tabyst learned (index, relationships, workflows, history); settings and saved workspaces are kept
+ */
+async function clearAllData() {
+  await pauseColdStart();
+  await db.clearAll();
+
+  await storage.set({ tfidfIndex: null, indexingProgress: null });
+  await storage.updateConfig({ coldStartDone: false, lastColdStartAt: null, totalTabsIndexed: 0 });
+  await storage.clearSuggestionsCache();
+
+  await clearTabHistory();
+  await indexTabsForSearch([]);
+  console.log('🗑️ All data cleared');
+}
+
+/**
+ * Re-rank the current window's tabs with unsaved weights (no cache, no workflow bonus)
+ */
+async function previewScoringWeights(weights) {
+  try {
+    const [currentWindow, allTabs] = await Promise.all([
+      chrome.windows.getLastFocused(),
+      chrome.tabs.query({})
+    ]);
+    const candidates = allTabs.filter(t => isAccessibleUrl(t.url));
+
+    // Reference = most recently used web tab of this window (the options page itself is skipped)
+    const referenceTab = candidates
+      .filter(t => t.windowId === currentWindow.id)
+      .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0))[0];
+    if (!referenceTab) {
+      return { mode: null, referenceTab: null, suggestions: [] };
+    }
+
+    const privacyMode = await storage.isPrivacyModeEnabled();
+    const hasAIData = !privacyMode && await checkIfAnyTabsIndexd();
+    const scored = hasAIData
+      ? await getHybridSuggestions(referenceTab, candidates, null, weights?.hybrid)
+      : await getLiteSuggestions(referenceTab, candidates, weights?.lite);
+    const suggestions = applySameWindowBonus(scored, referenceTab.windowId, weights?.bonuses?.sameWindow);
+
+    return {
+      mode: hasAIData ? 'hybrid' : 'lite',
+      referenceTab: { id: referenceTab.id, title: referenceTab.title, url: referenceTab.url },
+      suggestions: suggestions.map(s => ({
+        id: s.id,
+        title: s.title,
+        url: s.url,
+        favIconUrl: s.favIconUrl,
+        score: s.score,
+        reason: s.reason
+      }))
+    };
+  } catch (error) {
+    console.error('Error preview weights:', error);
+    return { mode: null, referenceTab: null, suggestions: [] };
+  }
+}
+
+/**
+ * Index tabs for the modal search (title/URL + AI content from tabs_index)
+ */
+async function indexTabsForSearch(tabs) {
+  const tabsWithContent = await Promise.all(tabs.map(async tab => {
+    const record = await db.getTabByTabId(tab.id);
+    return { ...tab, content: record?.content || null };
+  }));
+
+  fuzzySearch.indexTabs(tabsWithContent);
+  contentSearch.indexTabs(tabsWithContent);
+  searchableTabs = new Map(tabsWithContent.map(tab => [tab.id, tab]));
+}
+
+/**
+ * Modal search: fuzzy (title/URL) + BM25 (content), merged by reciprocal rank
+ */
+function searchTabs(query, limit = 8) {
+  const merged = new Map();
+
+  [fuzzySearch.search(query, limit), contentSearch.search(query, limit)].forEach(results => {
+    results.forEach((result, rank) => {
+      const entry = merged.get(result.id) || { id: result.id, rank: 0, snippet: null };
+      entry.rank += 1 / (60 + rank);
+      entry.snippet = entry.snippet || result.snippet || null;
+      merged.set(result.id, entry);
+    });
+  });
+
+  return [...merged.values()]
+    .filter(entry => searchableTabs.has(entry.id))
+    .sort((a, b) => b.rank - a.rank)
+    .slice(0, limit)
+    .map(entry => {
+      const tab = searchableTabs.get(entry.id);
+      return {
+        id: tab.id,
+        title: tab.title,
+        url: tab.url,
+        favIconUrl: tab.favIconUrl,
+        windowId: tab.windowId,
+        discarded: tab.discarded || false,
+        snippet: entry.snippet
+      };
+    });
+}
+
+/**
+ * Indexed data of a tab for the modal preview pane
+ */
+async function getTabPreview({ tabId, recordId }) {
+  const record = recordId ? await db.getTab(recordId) : await db.getTabByTabId(tabId);
+  const tab = tabId ? await chrome.tabs.get(tabId).catch(() => null) : null;
+  const content = record?.content || {};
+
+  return {
+    indexed: Boolean(content.summary),
+    summary: content.summary || null,
+    keywords: content.keywords || [],
+    entities: content.entities || [],
+    topics: content.topics || [],
+    type: record?.metadata?.type || null,
+    lastAccessedAt: record?.lastAccessedAt || tab?.lastAccessed || null,
+    accessCount: record?.accessCount || 0
+  };
+}
+
+/**
+ * Context of a tab for the side panel
+ */
+async function getTabContext(tabId) {
+  const tab = await chrome.tabs.get(tabId);
+  const record = await db.getTabByTabId(tabId);
+  const content = record?.content || {};
+
+  const [related, workflow] = await Promise.all([
+    getRelatedTabs(tabId),
+    predictNextSteps(tabId)
+  ]);
+
+  return {
+    tab: { id: tab.id, title: tab.title, url: tab.url, favIconUrl: tab.favIconUrl, windowId: tab.windowId },
+    indexed: Boolean(content.summary),
+    summary: content.summary || null,
+    entities: content.entities || [],
+    topics: content.topics || [],
+    type: record?.metadata?.type || null,
+    related: related.map(r => ({
+      recordId: r.id,
+      tabId: r.flags?.isActive ? r.tabId : null,
+      title: r.title,
+      url: r.url,
+      favicon: r.favicon || null,
+      strength: r.relationshipStrength,
+      type: r.relationshipType,
+      sharedEntities: r.sharedEntities || [],
+      sharedTopics: r.sharedTopics || []
+    })),
+    workflow
+  };
+}
+
+/**
+ * Match ranges in title and domain (as displayed by the modal) for each tab id
+ */
+function getSearchHighlights(query, tabIds) {
+  const highlights = {};
+
+  tabIds.forEach(id => {
+    const tab = searchableTabs.get(id);
+    if (!tab) return;
+
+    highlights[id] = {
+      title: fuzzySearch.findMatchRanges(tab.title, query),
+      domain: fuzzySearch.findMatchRanges(fuzzySearch.extractDomain(tab.url), query)
+    };
+  });
+
+  return highlights;
+}
+
+/**
+ * Corrected query from indexed titles (null if nothing to correct)
+ */
+function getSearchCorrection(query) {
+  const corrections = fuzzySearch.suggestCorrection(query)
+    .map(c => ({ ...c, suggestion: c.suggestion.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '') }))
+    .filter(c => c.suggestion.length > 0 && c.suggestion !== c.original);
+
+  if (corrections.length === 0) return null;
+
+  const byWord = new Map(corrections.map(c => [c.original, c.suggestion]));
+  return {
+    query: query.toLowerCase().split(/\s+/).map(word => byWord.get(word) || word).join(' '),
+    corrections: corrections.map(({ original, suggestion }) => ({ original, suggestion }))
+  };
+}
+
+/**
+ * Data shown by the modal and the switcher window (suggestions, labels, theme)
+ */
+async function getModalData(tab) {
+  // Index tabs of all windows for fuzzy + content search (with AI content from the DB)
+  const allTabs = (await chrome.tabs.query({})).filter(t => !isSwitcherTab(t));
+  await indexTabsForSearch(allTabs);
+
+  // Get suggestions via Lite mode (improved by AI indexing)
+  const suggestions = (await getSuggestionsForTab(tab.id)).filter(t => !isSwitcherTab(t));
+
+  return {
+    suggestions: suggestions,
+    privacyMode: await storage.isPrivacyModeEnabled(),
+    windowLabels: await getWindowLabels(tab.windowId),
+    currentWindowId: tab.windowId,
+    theme: await storage.getThemePreferences()
+  };
+}
+
+/**
+ * quick-return (back) / quick-forward: recent tabs overlay on the page while the shortcut is held,
+ * else one step through the window's recent tabs
+ */
+async function cycleTabHistory(tab, direction) {
+  if (await showHistoryOverlay(tab, direction)) return;
+
+  const tabId = await stepTabHistory(tab.windowId, direction);
+  if (tabId) {
+    await chrome.tabs.update(tabId, { active: true });
+  }
+}
+
+/**
+ * Ask the page to open the recent tabs overlay or move its selection
+ * false: shortcut already released, restricted page or modal open (direct step instead)
+ */
+async function showHistoryOverlay(tab, direction) {
+  if (!isAccessibleUrl(tab.url)) return false;
+
+  const tabs = (await getTabHistory(tab.windowId)).slice(0, HISTORY_OVERLAY_SIZE);
+  const message = {
+    action: "step-tab-history",
+    direction,
+    tabs: tabs.map(t => ({ id: t.id, title: t.title, url: t.url, favIconUrl: t.favIconUrl, discarded: t.discarded })),
+    theme: await storage.getThemePreferences()
+  };
+
+  try {
+    return (await chrome.tabs.sendMessage(tab.id, message))?.shown === true;
+  } catch (error) {
+    // Content script not injected yet
+  }
+
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      files: ["theme.js", "content.js"],
+    });
+    return (await chrome.tabs.sendMessage(tab.id, message))?.shown === true;
+  } catch (error) {
+    // PDFs, Web Store... refuse injection
+    return false;
+  }
+}
+
 /**
  * Open modal Taby
  */
 async function openTabyModal(tab) {
   if (!tab || !tab.id) return;
 
-  // Check if URL is accessible before injecting script
+  // Restricted pages (chrome://, new tab, file://...) can't run the modal: switcher window instead
   if (!isAccessibleUrl(tab.url)) {
-    console.warn(`⏭️ Cannot open modal on restricted page: ${tab.url}`);
+    await openSwitcherWindow(tab);
     return;
   }
 
-  // Index tabs for fuzzy search
-  const allTabs = await chrome.tabs.query({ currentWindow: true });
-  fuzzySearch.indexTabs(allTabs);
-
-  // Get suggestions via Lite mode (improved by AI indexing)
-  const suggestions = await getSuggestionsForTab(tab.id);
+  const modalData = await getModalData(tab);
 
   // Try to send message to existing content script first
   try {
-    await chrome.tabs.sendMessage(tab.id, {
-      action: "toggle-supertab-modal",
-      suggestions: suggestions
-    });
+    await chrome.tabs.sendMessage(tab.id, { action: "toggle-supertab-modal", ...modalData });
     // Success - content script already exists, no need to inject
     return;
   } catch (error) {
@@ -439,20 +1204,53 @@ async function openTabyModal(tab) {
   try {
     await chrome.scripting.executeScript({
       target: { tabId: tab.id },
-      files: ["content.js"],
+      files: ["theme.js", "content.js"],
     });
   } catch (e) {
-    console.error('Error injecting script:', e);
+    // PDFs, Web Store... refuse injection even with an http(s) URL
+    console.warn(`⏭️ Cannot inject modal (${e.message}), opening switcher window`);
+    await openSwitcherWindow(tab);
     return;
   }
 
   // Send message again after injection
   try {
-    await chrome.tabs.sendMessage(tab.id, {
-      action: "toggle-supertab-modal",
-      suggestions: suggestions
-    });
+    await chrome.tabs.sendMessage(tab.id, { action: "toggle-supertab-modal", ...modalData });
   } catch (error) {
     console.error('Error sending message:', error);
   }
+}
+
+/**
+ * Switcher window: same UI as the modal on an extension page (switcher.html)
+ * Opened again with the shortcut = closed (like the modal toggle)
+ */
+async function openSwitcherWindow(tab) {
+  // Looked up each time: the service worker may have restarted since it was opened
+  const popups = await chrome.windows.getAll({ populate: true, windowTypes: ['popup'] });
+  const openSwitcher = popups.find(win => win.tabs?.some(isSwitcherTab));
+  if (openSwitcher) {
+    await chrome.windows.remove(openSwitcher.id).catch(() => {});
+    return;
+  }
+
+  const width = 760;
+  const height = 560;
+  const sourceWindow = await chrome.windows.get(tab.windowId).catch(() => null);
+
+  await chrome.windows.create({
+    url: `switcher.html?tabId=${tab.id}`,
+    type: 'popup',
+    width,
+    height,
+    // Centered on the window of the restricted page
+    ...(sourceWindow && {
+      left: Math.round(sourceWindow.left + (sourceWindow.width - width) / 2),
+      top: Math.round(sourceWindow.top + (sourceWindow.height - height) / 3)
+    })
+  });
+}
+
+function isSwitcherTab(tab) {
+  return Boolean(tab.url && tab.url.startsWith(chrome.runtime.getURL('switcher.html')));
 }
\ No newline at end of file
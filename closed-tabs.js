@@ -0,0 +1,113 @@
+/**
+ * closed-tabs.js
+ * Search and reopen closed tabs (inactive tabs_index records keep their AI data), archived tabs included
+ */
+
+import { db } from './db.js';
+import { filterExcludedTabs } from './exclusions.js';
+
+/**
+ * Score a closed tab against query words (every word must match somewhere)
+ */
+function scoreClosedTab(record, words) {
+  const title = (record.title || '').toLowerCase();
+  const url = (record.url || '').toLowerCase();
+  const summary = (record.content?.summary || '').toLowerCase();
+  const tags = [...(record.content?.entities || []), ...(record.content?.topics || [])]
+    .join(' ')
+    .toLowerCase();
+
+  let score = 0;
+  let matchedWords = 0;
+
+  words.forEach(word => {
+    let matched = false;
+
+    if (title.includes(word)) {
+      score += 1.0;
+      matched = true;
+    }
+    if (tags.includes(word)) {
+      score += 0.6;
+      matched = true;
+    }
+    if (summary.includes(word)) {
+      score += 0.3;
+      matched = true;
+    }
+    if (!matched && url.includes(word)) {
+      score += 0.2;
+      matched = true;
+    }
+
+    if (matched) matchedWords++;
+  });
+
+  return matchedWords === words.length ? score : 0;
+}
+
+/**
+ * Search closed tabs by title, summary, entities and topics
+ */
+async function searchClosedTabs(query, limit = 5) {
+  const words = (query || '').toLowerCase().split(/\s+/).filter(w => w.length > 0);
+  if (words.length === 0) return [];
+
+  try {
+    const records = await db.getAllTabs();
+    const closed = await filterExcludedTabs(records.filter(r => !r.flags?.isActive && r.url));
+
+    return closed
+      .map(record => ({ record, score: scoreClosedTab(record, words) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) =>
+        b.score - a.score ||
+        (b.record.closedAt || b.record.lastAccessedAt || 0) - (a.record.closedAt || a.record.lastAccessedAt || 0)
+      )
+      .slice(0, limit)
+      .map(({ record, score }) => ({
+        recordId: record.id,
+        title: record.title,
+        url: record.url,
+        favIconUrl: record.favicon,
+        summary: record.content?.summary || null,
+        closedAt: record.closedAt || null,
+        archivedAt: record.archivedAt || null,
+        score
+      }));
+  } catch (error) {
+    console.error('Error searching closed tabs:', error);
+    return [];
+  }
+}
+
+/**
+ * Reopen a closed tab and re-link the new Chrome tab id to its record
+ * (relationships and navigation history use the record id, so they carry over)
+ * Reopening an archived tab restores it
+ */
+async function reopenClosedTab(recordId, windowId) {
+  const record = await db.getTab(recordId);
+  if (!record) {
+    throw new Error(`Tab ${recordId} not found`);
+  }
+
+  const tab = await chrome.tabs.create({ url: record.url, windowId, active: true });
+
+  await db.updateTab(record.id, {
+    tabId: tab.id,
+    closedAt: null,
+    archivedAt: null,
+    lastAccessedAt: Date.now(),
+    accessCount: (record.accessCount || 0) + 1,
+    flags: { ...record.flags, isActive: true }
+  });
+
+  console.log(`♻️ Closed tab reopened: ${record.title} (${record.id} → tab ${tab.id})`);
+  return tab;
+}
+
+export {
+  searchClosedTabs,
+  reopenClosedTab
+};
@@ -0,0 +1,245 @@
+/**
+ * clustering.js
+ * Content-based clustering of open tabs into "projects":
+ * TF-IDF cosine over title + AI content, plus shared entities/topics, average-linkage clustering
+ * (the cluster count comes from the similarity threshold, not fixed in advance)
+ * Clusters are stored in IndexedDB (clusters store + clusterId on tab records) and kept up to date as tabs are indexed
+ */
+
+import { db } from './db.js';
+import { TFIDF } from './tfidf.js';
+import { filterExcludedTabs } from './exclusions.js';
+
+const SIMILARITY_THRESHOLD = 0.3;
+const MAX_CLUSTER_SIZE = 30;
+const MIN_PROJECT_SIZE = 2;        // a single tab is not a project
+const UPDATE_DELAY = 5000;         // debounce while several tabs are being indexed
+
+let updateTimeout = null;
+
+/**
+ * Document to cluster: id, text for TF-IDF, entities/topics for the overlap
+ */
+function toDocument(id, title, content = {}) {
+  return {
+    id,
+    text: [
+      title,
+      content.summary,
+      ...(content.keywords || []),
+      ...(content.entities || []),
+      ...(content.topics || [])
+    ].filter(Boolean).join(' '),
+    terms: new Set([...(content.entities || []), ...(content.topics || [])].map(term => term.toLowerCase()))
+  };
+}
+
+/**
+ * Jaccard index of two term sets
+ */
+function jaccard(set1, set2) {
+  if (set1.size === 0 || set2.size === 0) return 0;
+  const intersection = [...set1].filter(term => set2.has(term)).length;
+  return intersection / (set1.size + set2.size - intersection);
+}
+
+/**
+ * Pairwise similarity: half shared entities/topics, half TF-IDF cosine
+ * (cosine alone when one side has no AI content yet)
+ */
+function buildSimilarityMatrix(documents) {
+  const tfidf = new TFIDF({ indexAllTerms: true });
+  documents.forEach(doc => tfidf.addDocument(doc.text, doc.id));
+
+  return documents.map((a, i) => documents.map((b, j) => {
+    if (i === j) return 1;
+    const cosine = tfidf.cosineSimilarity(a.id, b.id);
+    return a.terms.size > 0 && b.terms.size > 0 ? 0.5 * jaccard(a.terms, b.terms) + 0.5 * cosine : cosine;
+  }));
+}
+
+/**
+ * Average-linkage clustering: merge the two closest clusters until none is above the threshold
+ * Returns every cluster (singletons included) as indexes into the matrix, largest first
+ */
+function clusterDocuments(similarity, { threshold = SIMILARITY_THRESHOLD, maxSize = MAX_CLUSTER_SIZE } = {}) {
+  let clusters = similarity.map((_, i) => [i]);
+
+  const linkage = (c1, c2) => {
+    let total = 0;
+    c1.forEach(i => c2.forEach(j => { total += similarity[i][j]; }));
+    return total / (c1.length * c2.length);
+  };
+
+  while (clusters.length > 1) {
+    let best = null;
+
+    for (let i = 0; i < clusters.length; i++) {
+      for (let j = i + 1; j < clusters.length; j++) {
+        if (clusters[i].length + clusters[j].length > maxSize) continue;
+        const score = linkage(clusters[i], clusters[j]);
+        if (score >= threshold && (!best || score > best.score)) {
+          best = { i, j, score };
+        }
+      }
+    }
+
+    if (!best) break;
+
+    const merged = [...clusters[best.i], ...clusters[best.j]];
+    clusters = clusters.filter((_, index) => index !== best.i && index !== best.j);
+    clusters.push(merged);
+  }
+
+  return clusters
+    // Cohesion = average similarity between members (diagonal excluded)
+    .map(cluster => ({
+      members: cluster,
+      cohesion: cluster.length > 1 ? (linkage(cluster, cluster) * cluster.length - 1) / (cluster.length - 1) : 1
+    }))
+    .sort((a, b) => b.members.length - a.members.length || b.cohesion - a.cohesion);
+}
+
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.replace('www.', '');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Label of a cluster: topic or entity shared by most tabs, else their common domain
+ * tabs = [{ title, url, content }]
+ */
+function labelCluster(tabs) {
+  const counts = new Map();
+  tabs.forEach(({ content }) => {
+    new Set([...(content?.topics || []), ...(content?.entities || [])]).forEach(term => {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    });
+  });
+
+  const [topTerm] = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  if (topTerm && (topTerm[1] >= 2 || tabs.length === 1)) return topTerm[0];
+
+  const domains = new Set(tabs.map(({ url }) => getDomain(url)));
+  if (domains.size === 1) return [...domains][0];
+
+  return tabs.length === 1 ? tabs[0].title : 'Related tabs';
+}
+
+/**
+ * Previous cluster sharing most tabs with a new one (keeps ids stable across updates)
+ */
+function findPreviousCluster(previousClusters, tabIds, usedIds) {
+  let best = null;
+
+  previousClusters.forEach(cluster => {
+    if (usedIds.has(cluster.id)) return;
+    const shared = cluster.tabIds.filter(id => tabIds.includes(id)).length;
+    const overlap = shared / (cluster.tabIds.length + tabIds.length - shared);
+    if (overlap >= 0.5 && (!best || overlap > best.overlap)) {
+      best = { cluster, overlap };
+    }
+  });
+
+  return best?.cluster || null;
+}
+
+/**
+ * Recompute the clusters of every active tab and store them
+ */
+async function updateClusters() {
+  try {
+    const records = await filterExcludedTabs((await db.getActiveTabs()).filter(record => record.url));
+    const clusters = records.length > 0
+      ? clusterDocuments(buildSimilarityMatrix(records.map(record => toDocument(record.id, record.title, record.content))))
+      : [];
+
+    const previousClusters = await db.getAllClusters();
+    const usedIds = new Set();
+    const now = Date.now();
+
+    const stored = clusters.map(({ members, cohesion }) => {
+      const tabs = members.map(i => records[i]);
+      const tabIds = tabs.map(record => record.id);
+      const previous = findPreviousCluster(previousClusters, tabIds, usedIds);
+      const id = previous?.id || `cluster_${now}_${Math.random().toString(36).substr(2, 9)}`;
+      usedIds.add(id);
+
+      return {
+        id,
+        label: labelCluster(tabs),
+        tabIds,
+        cohesion,
+        createdAt: previous?.createdAt || now,
+        updatedAt: now
+      };
+    });
+
+    await db.saveClusters(stored);
+
+    const projectCount = stored.filter(cluster => cluster.tabIds.length >= MIN_PROJECT_SIZE).length;
+    console.log(`🧩 Clusters updated: ${projectCount} projects (${records.length} tabs)`);
+    return stored;
+
+  } catch (error) {
+    console.error('Error updating clusters:', error);
+    return [];
+  }
+}
+
+/**
+ * Update the clusters shortly (several tabs indexed in a row = one update)
+ */
+function scheduleClusterUpdate() {
+  clearTimeout(updateTimeout);
+  updateTimeout = setTimeout(() => {
+    updateTimeout = null;
+    updateClusters();
+  }, UPDATE_DELAY);
+}
+
+/**
+ * Stored clusters with their open tabs (for the popup, grouping, focus views)
+ */
+async function getClusters() {
+  const [clusters, records, openTabs] = await Promise.all([
+    db.getAllClusters(),
+    db.getActiveTabs(),
+    chrome.tabs.query({})
+  ]);
+  const recordsById = new Map(records.map(record => [record.id, record]));
+  const openById = new Map(openTabs.map(tab => [tab.id, tab]));
+
+  const result = clusters
+    .map(cluster => ({
+      id: cluster.id,
+      label: cluster.label,
+      cohesion: cluster.cohesion,
+      updatedAt: cluster.updatedAt,
+      tabs: cluster.tabIds
+        .map(id => openById.get(recordsById.get(id)?.tabId))
+        .filter(Boolean)
+        .map(tab => ({ id: tab.id, title: tab.title, url: tab.url, favIconUrl: tab.favIconUrl, windowId: tab.windowId }))
+    }))
+    .filter(cluster => cluster.tabs.length > 0)
+    .sort((a, b) => b.tabs.length - a.tabs.length);
+
+  return {
+    clusters: result,
+    projectCount: result.filter(cluster => cluster.tabs.length >= MIN_PROJECT_SIZE).length
+  };
+}
+
+export {
+  toDocument,
+  buildSimilarityMatrix,
+  clusterDocuments,
+  labelCluster,
+  updateClusters,
+  scheduleClusterUpdate,
+  getClusters,
+  MIN_PROJECT_SIZE
+};
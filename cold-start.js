@@ -9,6 +9,8 @@ import { TFIDF } from './tfidf.js';
 import { generateComprehensiveSummary, extractRichKeywords, checkAIAvailability } from './ai-engine.js';
 import { extractTabContent, buildTFIDFIndex } from './lite-mode.js';
 import { enrichRelationshipsWithAI, initializeRelationships } from './relationships.js';
+import { isUrlExcluded, filterExcludedTabs } from './exclusions.js';
+import { scheduleClusterUpdate } from './clustering.js';
 
 let isIndexing = false;
 let indexingQueue = [];
@@ -29,6 +31,11 @@ async function startColdStart() {
     return;
   }
 
+  if (await storage.isPrivacyModeEnabled()) {
+    console.log('🔒 Privacy mode enabled, AI indexing disabled');
+    return;
+  }
+
   console.log('🚀 Cold Start started');
 
   // Reset state for clean start
@@ -52,8 +59,8 @@ async function startColdStart() {
     await initAISessions();
   }
 
-  // Get all tabs
-  const tabs = await chrome.tabs.query({});
+  // Get all tabs (excluded sites are never indexed)
+  const tabs = await filterExcludedTabs(await chrome.tabs.query({}));
 
   if (tabs.length === 0) {
     console.log('⚠️ No tabs to index');
@@ -147,6 +154,11 @@ async function createLiteEntries(tabs) {
   
   for (const tab of tabs) {
     try {
+      if (await isUrlExcluded(tab.url)) {
+        console.log(`🚫 Excluded tab skipped: ${tab.id}`);
+        continue;
+      }
+
       const domain = new URL(tab.url).hostname;
       const urlHash = await db.generateUrlHash(tab.url);
       
@@ -200,26 +212,29 @@ async function createLiteEntries(tabs) {
   console.log('✅ Lite entries created');
 }
 
+/**
+ * Known apps by domain
+ */
+const APPS_BY_DOMAIN = {
+  'mail.google.com': 'gmail',
+  'docs.google.com': 'google_docs',
+  'sheets.google.com': 'google_sheets',
+  'slides.google.com': 'google_slides',
+  'drive.google.com': 'google_drive',
+  'calendar.google.com': 'google_calendar',
+  'notion.so': 'notion',
+  'slack.com': 'slack',
+  'github.com': 'github',
+  'figma.com': 'figma',
+  'linear.app': 'linear',
+  'youtube.com': 'youtube'
+};
+
 /**
  * Detect app based on domain
  */
 function detectApp(domain) {
-  const apps = {
-    'mail.google.com': 'gmail',
-    'docs.google.com': 'google_docs',
-    'sheets.google.com': 'google_sheets',
-    'slides.google.com': 'google_slides',
-    'drive.google.com': 'google_drive',
-    'calendar.google.com': 'google_calendar',
-    'notion.so': 'notion',
-    'slack.com': 'slack',
-    'github.com': 'github',
-    'figma.com': 'figma',
-    'linear.app': 'linear',
-    'youtube.com': 'youtube'
-  };
-  
-  return apps[domain] || 'other';
+  return APPS_BY_DOMAIN[domain] || 'other';
 }
 
 /**
@@ -383,6 +398,9 @@ async function performIndexing(tab) {
 
     // 5. Update TF-IDF with AI data IMMEDIATELY
     await updateTFIDFWithAIData(tab.id, summary, metadata.keywords, dbEntry.title);
+
+    // Projects refine as tabs get indexed (debounced)
+    scheduleClusterUpdate();
   } else {
     console.warn(`  ⚠️ Tab ${tab.id} not found in DB, skipping`);
   }
@@ -591,6 +609,11 @@ async function indexNewTab(tab) {
       return;
     }
 
+    if (await isUrlExcluded(tab.url)) {
+      console.log(`🚫 Excluded URL ignored: ${tab.url}`);
+      return;
+    }
+
     // Create Lite entry first
     const domain = new URL(tab.url).hostname;
     const urlHash = await db.generateUrlHash(tab.url);
@@ -666,5 +689,7 @@ export {
   pauseColdStart,
   resumeColdStart,
   indexNewTab,
-  areSessionsReady
+  areSessionsReady,
+  detectApp,
+  APPS_BY_DOMAIN
 };
\ No newline at end of file
@@ -0,0 +1,131 @@
+/**
+ * content-search.js
+ * BM25 search over indexed tab content (summary, keywords, entities, topics)
+ * Finds "the tab about Q3 pricing" even when its title is "Untitled document"
+ */
+
+import { TFIDF } from './tfidf.js';
+
+const SNIPPET_RADIUS = 60;
+
+// Fields searched, in the order used to explain a match
+const CONTENT_FIELDS = [
+  { key: 'summary', label: 'Summary' },
+  { key: 'keywords', label: 'Keywords' },
+  { key: 'entities', label: 'Entities' },
+  { key: 'topics', label: 'Topics' }
+];
+
+class ContentSearch {
+  constructor() {
+    this.tfidf = new TFIDF({ indexAllTerms: true });
+    this.tabs = new Map(); // Chrome tab id → { tab, content }
+  }
+
+  /**
+   * Index open tabs (tab.content = AI content from tabs_index, may be null)
+   */
+  indexTabs(tabs) {
+    // Rare terms are what users search for: keep them
+    this.tfidf = new TFIDF({ indexAllTerms: true });
+    this.tabs = new Map();
+
+    tabs.forEach(tab => {
+      const content = tab.content || {};
+      this.tabs.set(tab.id, { tab, content });
+      this.tfidf.addDocument(this.buildDocument(tab, content), tab.id);
+    });
+  }
+
+  buildDocument(tab, content) {
+    const list = value => (Array.isArray(value) ? value.join(' ') : '');
+
+    return [
+      tab.title || '',
+      content.summary || '',
+      list(content.keywords),
+      list(content.entities),
+      list(content.topics)
+    ].join(' ');
+  }
+
+  /**
+   * Search indexed content (BM25), with a snippet explaining each match
+   */
+  search(query, limit = 5) {
+    if (!query || query.trim().length === 0) return [];
+
+    // Same filtering as BM25 (stop words are not explained in snippets)
+    const queryTerms = this.tfidf.filterTerms(this.tfidf.tokenize(query));
+    if (queryTerms.length === 0) return [];
+
+    return [...this.tabs.entries()]
+      .map(([id, { tab, content }]) => ({
+        id,
+        title: tab.title,
+        url: tab.url,
+        favIconUrl: tab.favIconUrl,
+        windowId: tab.windowId,
+        score: this.tfidf.bm25(query, id),
+        snippet: this.buildSnippet(tab, content, queryTerms)
+      }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Explain a match: first content field containing a query term
+   * (null when the title alone explains it)
+   */
+  buildSnippet(tab, content, queryTerms) {
+    const title = this.normalize(tab.title || '');
+    if (queryTerms.every(term => title.includes(term))) return null;
+
+    for (const field of CONTENT_FIELDS) {
+      const value = content[field.key];
+      if (!value) continue;
+
+      if (Array.isArray(value)) {
+        const matches = value.filter(item => queryTerms.some(term => this.normalize(item).includes(term)));
+        if (matches.length > 0) {
+          return { field: field.key, label: field.label, text: matches.slice(0, 3).join(', ') };
+        }
+      } else {
+        const normalized = this.normalize(value);
+        const term = queryTerms.find(t => normalized.includes(t));
+        if (term) {
+          return { field: field.key, label: field.label, text: this.excerpt(value, normalized.indexOf(term), term.length) };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Text around a match, cut on word boundaries
+   */
+  excerpt(text, index, length) {
+    let start = Math.max(0, index - SNIPPET_RADIUS);
+    let end = Math.min(text.length, index + length + SNIPPET_RADIUS);
+
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      if (space !== -1 && space < index) start = space + 1;
+    }
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      if (space > index + length) end = space;
+    }
+
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+  }
+
+  // Same normalization as TFIDF.tokenize (accents removed, lower case)
+  normalize(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+}
+
+export { ContentSearch };
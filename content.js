@@ -4,7 +4,7 @@
  */
 (() => {
     // Clean up any existing modals from previous injections to prevent stacking
-    const existingModals = document.querySelectorAll('#supertab-root');
+    const existingModals = document.querySelectorAll('#supertab-root, #tabyst-history-root');
     existingModals.forEach(modal => modal.remove());
 
     let supertabContainer = null;
@@ -15,18 +15,120 @@
     let isOpen = false;
     let selectedIndex = 0;
     let currentSuggestions = [];
-    let filteredSuggestions = [];
+    let resultTabs = [];          // results before the window filter
+    let filteredSuggestions = []; // results shown
+    let windowLabels = {};
+    let currentWindowId = null;
+    let windowFilter = 'all';     // 'all' | 'current'
+    let closedResults = [];
+    let searchHighlights = {};    // tab id → { title, domain } match ranges
+    let searchCorrection = null;  // { query, corrections } "did you mean"
+    let previewCache = new Map(); // 'tab:<id>' | 'record:<id>' → indexed data
+    let previewKey = null;        // item shown in the preview pane
+    let expandedExplanations = new Set(); // tab ids with "Why?" open
+    let listHeader = null;
+    let naturalQueryRan = null;
+    let markedTabIds = new Set();
+    let actionMenu = null; // { level: 'actions'|'groups', items, index, tabIds }
+    let paletteItems = null;         // prefix mode: commands or completions shown instead of tabs
+    let pendingConfirmation = null;  // id of a command waiting for a second Enter
+    let groupProposal = null;        // suggested tab groups ('>' command), with tabs unticked or ticked in by the user
+    let ungroupedTabs = [];          // tabs of the window no suggested group took (can be ticked into one)
+    let duplicateGroups = null;      // duplicate tabs ('>' command) not closed yet
+    let archiveProposal = null;      // stale tabs proposed for archiving ('>' command)
+
+    // Action menu (Tab or Cmd/Ctrl+K on the selected result)
+    const TAB_ACTIONS = [
+        { id: 'close', label: 'Close', icon: '✕', message: 'close-tabs' },
+        { id: 'pin', label: 'Pin / Unpin', icon: '📌', message: 'pin-tabs' },
+        { id: 'mute', label: 'Mute / Unmute', icon: '🔇', message: 'mute-tabs' },
+        { id: 'move', label: 'Move to new window', icon: '🗗', message: 'move-tabs-to-new-window' },
+        { id: 'group', label: 'Add to tab group…', icon: '🗂️' },
+        { id: 'copy', label: 'Copy URL', icon: '🔗', message: 'copy-tab-urls' },
+        { id: 'duplicate', label: 'Duplicate', icon: '⧉', message: 'duplicate-tabs' }
+    ];
+
+    // Search prefixes: > commands, @ domain or app, # topic or tag, / workflows
+    const PALETTE_COMMANDS = [
+        { id: 'index-now', label: 'Index now', icon: '⚡', detail: 'Start AI indexing of open tabs', message: 'start-cold-start' },
+        { id: 'pause-indexing', label: 'Pause indexing', icon: '⏸️', detail: 'Stop AI indexing (resume with Index now)', message: 'pause-cold-start', status: '✓ Indexing paused' },
+        { id: 'group-tabs', label: 'Suggest tab groups', icon: '🗂️', detail: 'Group related tabs of this window by topic', message: 'suggest-tab-groups' },
+        { id: 'close-duplicates', label: 'Close duplicates', icon: '🧹', detail: 'Find tabs open more than once and keep the most recent', message: 'find-duplicates' },
+        { id: 'archive-stale', label: 'Archive stale tabs', icon: '📦', detail: 'Close tabs unused for days, keep them searchable', message: 'get-archive-recommendations' },
+        { id: 'archived-tabs', label: 'Archived tabs', icon: '🗃️', detail: 'Restore an archived tab', message: 'get-archived-tabs' },
+        { id: 'save-workspace', label: 'Save workspace', icon: '💼', detail: 'Save this window, a group or a project by name: >save client A', message: 'save-workspace', keyword: 'save' },
+        { id: 'switch-workspace', label: 'Switch workspace', icon: '🔀', detail: 'Save this workspace, then open another one', message: 'switch-workspace' },
+        { id: 'delete-workspace', label: 'Delete workspace', icon: '🗑️', detail: 'Forget a saved workspace (its tabs stay open)', message: 'delete-workspace' },
+        { id: 'open-options', label: 'Open options', icon: '⚙️', detail: 'Scoring weights, excluded sites, appearance', message: 'open-options' },
+        { id: 'clear-data', label: 'Clear data', icon: '🗑️', detail: 'Delete indexed content, relationships, workflows and history', message: 'clear-data', status: '✓ All data cleared', confirm: true }
+    ];
+    const PALETTE_HINTS = {
+        '>': 'Commands. Enter runs the selected one.',
+        '@': 'Tabs on a domain (github.com) or app (github). Tab completes, words after it filter by title.',
+        '#': 'Tabs by AI topic or tag. Tab completes, words after it filter by title.',
+        '/': 'Detected workflows. Enter shows the pages of the selected one.'
+    };
+    const PALETTE_EMPTY = {
+        '>': 'No matching command',
+        '@': 'No open tab on a matching domain or app',
+        '#': 'No matching topic or tag',
+        '/': 'No matching workflow (workflows are detected from your navigation)'
+    };
+    const COMPLETION_ICONS = { app: '🧩', domain: '🌐', tag: '🏷️', topic: '#', workflow: '🔁' };
+
+    let privacyMode = false;
+    let themePreferences = null; // { theme, accentColor } from config
+    let previouslyFocused = null;  // element focused before opening (restored on close)
+    let lastAnnouncement = null;   // { results, selection } already read by screen readers
+    let sourceTab = null;          // switcher window only: { id, windowId } of the restricted page
+
+    // Recent tabs overlay (quick-return held, like Alt-Tab)
+    const HISTORY_IDLE_COMMIT = 800; // ms: keys state unknown (script just injected), switch after this pause
+    let historyOverlay = null;       // { container, tabs, index, idleTimer }
+    let modifiersHeld = null;        // shortcut modifiers held down (null until a key event is seen)
 
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         if (request.action === "toggle-supertab-modal") {
             if (isOpen) {
                 closeModal();
             } else {
-                currentSuggestions = request.suggestions;
+                setModalData(request);
                 openModal();
             }
+        } else if (request.action === "step-tab-history") {
+            sendResponse({ shown: stepHistoryOverlay(request) });
         }
     });
+
+    // The page sees the shortcut's modifiers (not the shortcut itself): releasing them picks the selected tab
+    document.addEventListener('keydown', handleHistoryKey, true);
+    document.addEventListener('keyup', handleHistoryKey, true);
+    window.addEventListener('blur', () => {
+        modifiersHeld = false;
+        closeHistoryOverlay();
+    });
+
+    // Switcher window (switcher.html): same modal on an extension page, for restricted pages
+    self.TabystModal = {
+        open(data, source) {
+            sourceTab = source;
+            setModalData(data);
+            openModal();
+        }
+    };
+
+    function setModalData(data) {
+        currentSuggestions = data.suggestions || [];
+        privacyMode = data.privacyMode || false;
+        windowLabels = data.windowLabels || {};
+        currentWindowId = data.currentWindowId || null;
+        themePreferences = data.theme || null;
+    }
+
+    // Messages whose source is the page behind the modal (the restricted page in the switcher window)
+    function withSource(message) {
+        return sourceTab ? { ...message, sourceTabId: sourceTab.id, sourceWindowId: sourceTab.windowId } : message;
+    }
     
     function createModal() {
         // Check if container exists and is still in DOM
@@ -64,16 +166,6 @@
                     all: initial;
                     font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
                 }
-                :root {
-                    --st-bg: #ffffff;
-                    --st-text: #1f2937;
-                    --st-text-light: #6b7280;
-                    --st-border: #e5e7eb;
-                    --st-overlay: rgba(24, 30, 40, 0.5);
-                    --st-highlight: #f3f4f6;
-                    --st-selection: #3b82f6;
-                    --st-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.25);
-                }
                 .overlay {
                     position: fixed;
                     inset: 0;
@@ -83,7 +175,7 @@
                     align-items: flex-start;
                     justify-content: center;
                     padding-top: 15vh;
-                    background-color: rgba(24, 30, 40, 0.5);
+                    background-color: var(--st-overlay);
                     backdrop-filter: blur(4px);
                     -webkit-backdrop-filter: blur(4px);
                     transition: opacity 0.2s ease-out;
@@ -98,13 +190,14 @@
                     pointer-events: auto;
                 }
                 .modal {
+                    position: relative;
                     width: 100%;
-                    max-width: 640px;
-                    background-color: #ffffff;
+                    max-width: 880px;
+                    background-color: var(--st-bg);
                     border-radius: 12px;
-                    box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.25);
+                    box-shadow: var(--st-shadow);
                     overflow: hidden;
-                    border: 1px solid #e5e7eb;
+                    border: 1px solid var(--st-border);
                     transform: translateY(-20px) scale(0.98);
                     opacity: 0;
                     transition: transform 0.2s ease-out, opacity 0.2s ease-out;
@@ -129,29 +222,150 @@
                     padding: 16px 16px 16px 48px;
                     font-size: 16px;
                     border: none;
-                    border-bottom: 1px solid #e5e7eb;
+                    border-bottom: 1px solid var(--st-border);
                     outline: none;
-                    color: #1f2937;
-                    background: #ffffff;
+                    color: var(--st-text);
+                    background: var(--st-bg);
                     font-family: inherit;
                 }
                 .search-input::placeholder {
-                    color: #9ca3af;
+                    color: var(--st-text-faint);
                     opacity: 1;
                 }
+                .results {
+                    display: flex;
+                }
                 .suggestions-list { 
+                    flex: 1;
+                    min-width: 0;
                     max-height: 400px; 
                     overflow-y: auto; 
                     padding: 8px; 
                 }
+                .preview-pane {
+                    width: 280px;
+                    flex-shrink: 0;
+                    max-height: 400px;
+                    overflow-y: auto;
+                    padding: 16px;
+                    border-left: 1px solid var(--st-border);
+                    font-size: 13px;
+                    color: var(--st-text-secondary);
+                    line-height: 1.5;
+                }
+                .preview-title {
+                    font-weight: 600;
+                    color: var(--st-text);
+                    word-break: break-word;
+                }
+                .preview-domain {
+                    margin-bottom: 12px;
+                    font-size: 12px;
+                    color: var(--st-text-light);
+                }
+                .preview-summary {
+                    margin-bottom: 12px;
+                }
+                .preview-empty {
+                    margin-bottom: 12px;
+                    color: var(--st-text-faint);
+                    font-style: italic;
+                }
+                .preview-section {
+                    margin: 8px 0 4px 0;
+                    font-size: 11px;
+                    font-weight: 600;
+                    color: var(--st-text-light);
+                    text-transform: uppercase;
+                    letter-spacing: 0.05em;
+                }
+                .chips {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 4px;
+                }
+                .chip {
+                    padding: 1px 6px;
+                    border-radius: 4px;
+                    background-color: var(--st-hover);
+                    color: var(--st-text-secondary);
+                    font-size: 12px;
+                }
+                .chip.topic {
+                    background-color: var(--st-accent-soft);
+                    color: var(--st-accent-text);
+                }
+                .preview-meta {
+                    margin-top: 12px;
+                    font-size: 12px;
+                    color: var(--st-text-light);
+                }
+                @media (max-width: 760px) {
+                    .preview-pane {
+                        display: none;
+                    }
+                }
                 .suggestions-header {
                     padding: 12px 16px 8px 16px;
                     font-size: 12px;
                     font-weight: 600;
-                    color: #6b7280;
+                    color: var(--st-text-light);
                     text-transform: uppercase;
                     letter-spacing: 0.05em;
-                    background-color: #ffffff;
+                    background-color: var(--st-bg);
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                }
+                .header-actions {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                }
+                .window-filter {
+                    padding: 2px 8px;
+                    border-radius: 6px;
+                    border: 1px solid var(--st-border-strong);
+                    background-color: var(--st-bg);
+                    color: var(--st-text-secondary);
+                    font-family: inherit;
+                    font-size: 12px;
+                    font-weight: 600;
+                    text-transform: none;
+                    letter-spacing: normal;
+                    cursor: pointer;
+                }
+                .window-filter:hover {
+                    background-color: var(--st-hover);
+                }
+                .window-filter.hidden {
+                    display: none;
+                }
+                .window-label {
+                    margin-left: 6px;
+                    padding: 0 6px;
+                    border-radius: 4px;
+                    background-color: var(--st-hover);
+                    color: var(--st-text-secondary);
+                }
+                .tab-item.selected .window-label {
+                    background-color: rgba(255, 255, 255, 0.2);
+                    color: var(--st-on-accent);
+                }
+                .discarded-label {
+                    font-style: italic;
+                }
+                .privacy-badge {
+                    padding: 2px 8px;
+                    border-radius: 6px;
+                    background-color: var(--st-warning-bg);
+                    color: var(--st-warning-text);
+                    text-transform: none;
+                    letter-spacing: normal;
+                    font-weight: 600;
+                }
+                .privacy-badge.hidden {
+                    display: none;
                 }
                 .tab-item {
                     display: flex;
@@ -165,11 +379,11 @@
                     text-decoration: none;
                 }
                 .tab-item:hover { 
-                    background-color: #f3f4f6;
+                    background-color: var(--st-hover);
                 }
                 .tab-item.selected {
-                    background-color: #3b82f6 !important;
-                    color: #ffffff !important;
+                    background-color: var(--st-accent) !important;
+                    color: var(--st-on-accent) !important;
                 }
                 .favicon { 
                     width: 20px; 
@@ -183,7 +397,7 @@
                 }
                 .tab-title { 
                     font-weight: 500;
-                    color: #1f2937;
+                    color: var(--st-text);
                     white-space: nowrap;
                     overflow: hidden;
                     text-overflow: ellipsis;
@@ -192,59 +406,317 @@
                 }
                 .tab-url { 
                     font-size: 12px;
-                    color: #6b7280;
+                    color: var(--st-text-light);
                     white-space: nowrap;
                     overflow: hidden;
                     text-overflow: ellipsis;
                     line-height: 1.4;
                 }
+                .tab-snippet {
+                    font-size: 12px;
+                    color: var(--st-text-secondary);
+                    line-height: 1.4;
+                    margin-top: 2px;
+                    display: -webkit-box;
+                    -webkit-line-clamp: 2;
+                    -webkit-box-orient: vertical;
+                    overflow: hidden;
+                }
+                .snippet-label {
+                    font-weight: 600;
+                }
+                .tab-title mark,
+                .tab-url mark {
+                    background-color: var(--st-mark);
+                    color: var(--st-mark-text, inherit);
+                    border-radius: 2px;
+                }
+                .tab-item.selected mark {
+                    background-color: rgba(255, 255, 255, 0.3);
+                }
+                .palette-icon {
+                    width: 20px;
+                    flex-shrink: 0;
+                    text-align: center;
+                    font-size: 14px;
+                }
+                .palette-count {
+                    flex-shrink: 0;
+                    font-size: 12px;
+                    color: var(--st-text-light);
+                }
+                .tab-item.selected .palette-count {
+                    color: var(--st-on-accent);
+                }
+                .did-you-mean {
+                    padding: 10px 16px;
+                    font-size: 13px;
+                    color: var(--st-text-secondary);
+                    cursor: pointer;
+                    border-bottom: 1px solid var(--st-hover);
+                }
+                .did-you-mean:hover {
+                    background-color: var(--st-surface);
+                }
+                .did-you-mean strong {
+                    color: var(--st-accent-text);
+                }
+                .why-toggle {
+                    flex-shrink: 0;
+                    padding: 2px 8px;
+                    border-radius: 6px;
+                    border: 1px solid var(--st-border-strong);
+                    background-color: transparent;
+                    color: var(--st-text-light);
+                    font-family: inherit;
+                    font-size: 11px;
+                    cursor: pointer;
+                }
+                .tab-item.selected .why-toggle {
+                    border-color: rgba(255, 255, 255, 0.5);
+                    color: var(--st-on-accent);
+                }
+                .why {
+                    margin-top: 6px;
+                    font-size: 12px;
+                    color: var(--st-text-secondary);
+                }
+                .tab-item.selected .why {
+                    color: var(--st-on-accent);
+                }
+                .why-signal {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    line-height: 1.6;
+                }
+                .why-label {
+                    width: 140px;
+                    flex-shrink: 0;
+                }
+                .why-bar {
+                    flex: 1;
+                    height: 6px;
+                    border-radius: 3px;
+                    background-color: var(--st-border);
+                    overflow: hidden;
+                }
+                .why-bar span {
+                    display: block;
+                    height: 100%;
+                    background-color: var(--st-accent);
+                }
+                .tab-item.selected .why-bar {
+                    background-color: rgba(255, 255, 255, 0.3);
+                }
+                .tab-item.selected .why-bar span {
+                    background-color: var(--st-bg);
+                }
+                .why-value {
+                    width: 52px;
+                    text-align: right;
+                    font-variant-numeric: tabular-nums;
+                }
+                .why-extra {
+                    margin-top: 2px;
+                }
+                .why-footer {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    margin-top: 4px;
+                    font-weight: 600;
+                }
+                .why-copy {
+                    padding: 1px 8px;
+                    border-radius: 6px;
+                    border: 1px solid currentColor;
+                    background-color: transparent;
+                    color: inherit;
+                    font-family: inherit;
+                    font-size: 11px;
+                    cursor: pointer;
+                }
+                .tab-item.selected .tab-snippet {
+                    color: var(--st-on-accent) !important;
+                    opacity: 0.9;
+                }
+                .tab-item.marked {
+                    background-color: var(--st-accent-soft);
+                    box-shadow: inset 3px 0 0 var(--st-accent);
+                }
+                .action-menu {
+                    position: absolute;
+                    right: 16px;
+                    bottom: 48px;
+                    width: 260px;
+                    max-height: 320px;
+                    overflow-y: auto;
+                    padding: 6px;
+                    background-color: var(--st-bg);
+                    border: 1px solid var(--st-border);
+                    border-radius: 10px;
+                    box-shadow: 0 10px 25px -5px rgba(0, 0, 0, 0.2);
+                }
+                .action-menu.hidden {
+                    display: none;
+                }
+                .action-menu-title {
+                    padding: 6px 10px;
+                    font-size: 12px;
+                    font-weight: 600;
+                    color: var(--st-text-light);
+                    white-space: nowrap;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                }
+                .action-item {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                    padding: 8px 10px;
+                    border-radius: 6px;
+                    font-size: 14px;
+                    color: var(--st-text);
+                    cursor: pointer;
+                }
+                .action-item:hover {
+                    background-color: var(--st-hover);
+                }
+                .action-item.selected {
+                    background-color: var(--st-accent);
+                    color: var(--st-on-accent);
+                }
+                .action-icon {
+                    width: 18px;
+                    text-align: center;
+                }
                 .tab-item.selected .tab-title { 
-                    color: #ffffff !important;
+                    color: var(--st-on-accent) !important;
                 }
                 .tab-item.selected .tab-url { 
-                    color: #ffffff !important;
+                    color: var(--st-on-accent) !important;
                     opacity: 0.9;
                 }
+                .list-section {
+                    padding: 12px 12px 4px 12px;
+                    font-size: 12px;
+                    font-weight: 600;
+                    color: var(--st-text-light);
+                    text-transform: uppercase;
+                    letter-spacing: 0.05em;
+                }
                 .no-results { 
                     padding: 40px 20px; 
                     text-align: center; 
                     color: var(--st-text-light); 
                 }
+                .overlay.standalone {
+                    padding-top: 0;
+                    background-color: var(--st-bg);
+                    backdrop-filter: none;
+                    -webkit-backdrop-filter: none;
+                }
+                .overlay.standalone .modal {
+                    max-width: none;
+                    border: none;
+                    border-radius: 0;
+                    box-shadow: none;
+                }
+                .overlay.standalone .suggestions-list,
+                .overlay.standalone .preview-pane {
+                    max-height: calc(100vh - 150px);
+                }
+                .sr-only {
+                    position: absolute;
+                    width: 1px;
+                    height: 1px;
+                    overflow: hidden;
+                    clip: rect(0, 0, 0, 0);
+                    white-space: nowrap;
+                }
+                @media (prefers-reduced-motion: reduce) {
+                    .overlay,
+                    .modal,
+                    .tab-item {
+                        transition: none;
+                    }
+                    .modal {
+                        transform: none;
+                    }
+                }
                 .footer {
                     display: flex;
                     align-items: center;
                     gap: 16px;
                     padding: 8px 16px;
-                    background-color: #f9fafb;
+                    background-color: var(--st-surface);
                     border-top: 1px solid var(--st-border);
                     font-size: 12px;
                     color: var(--st-text-light);
                 }
+                .footer-action {
+                    margin-left: auto;
+                    padding: 2px 8px;
+                    border-radius: 4px;
+                    border: 1px solid var(--st-border-strong);
+                    background-color: var(--st-bg);
+                    color: var(--st-text-light);
+                    font-family: inherit;
+                    font-size: 12px;
+                    cursor: pointer;
+                }
+                .footer-action:hover {
+                    background-color: var(--st-hover);
+                }
+                .footer-action.hidden {
+                    display: none;
+                }
+                .footer-action:disabled {
+                    cursor: default;
+                    opacity: 0.7;
+                }
                 .footer-item kbd {
                     padding: 2px 6px;
                     border-radius: 4px;
-                    border: 1px solid #d1d5db;
-                    background-color: white;
+                    border: 1px solid var(--st-border-strong);
+                    background-color: var(--st-bg);
                     box-shadow: 0 1px 1px rgba(0,0,0,0.05);
                     font-family: inherit;
                     margin-right: 4px;
                     font-size: 12px;
                 }
             </style>
+            <style class="theme-tokens"></style>
             <div class="overlay hidden">
-                <div class="modal">
+                <div class="modal" role="dialog" aria-modal="true" aria-label="Tabyst tab switcher">
                     <div class="search-box">
-                        <svg class="search-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <svg class="search-icon" aria-hidden="true" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"></path>
                         </svg>
-                        <input type="text" placeholder="Search tabs by title or URL..." class="search-input">
+                        <input type="text" placeholder="Search tabs, ? to ask, > commands, @ site, # topic, / workflows" class="search-input"
+                            role="combobox" aria-label="Search tabs" aria-autocomplete="list" aria-expanded="true" aria-controls="tabyst-listbox">
+                    </div>
+                    <div class="suggestions-header">
+                        <span>Suggested tabs</span>
+                        <span class="header-actions">
+                            <span class="privacy-badge hidden" title="Page content is not read or stored">🔒 Privacy mode</span>
+                            <button class="window-filter hidden" title="Show tabs from all windows or only this one">All windows</button>
+                        </span>
                     </div>
-                    <div class="suggestions-header">Suggested tabs</div>
-                    <div class="suggestions-list"></div>
-                    <div class="footer">
+                    <div class="results">
+                        <div class="suggestions-list" id="tabyst-listbox" role="listbox" aria-label="Tabs"></div>
+                        <div class="preview-pane" role="region" aria-label="Tab preview"></div>
+                    </div>
+                    <div class="action-menu hidden" id="tabyst-action-menu" role="menu" aria-label="Tab actions"></div>
+                    <div class="sr-only live-region" role="status" aria-live="polite"></div>
+                    <div class="footer" aria-hidden="true">
                         <div class="footer-item"><kbd>↑↓</kbd> Navigate</div>
                         <div class="footer-item"><kbd>Enter</kbd> Switch</div>
+                        <div class="footer-item"><kbd>Tab</kbd> Actions</div>
+                        <div class="footer-item"><kbd>Ctrl+I</kbd> Why?</div>
                         <div class="footer-item"><kbd>Esc</kbd> Close</div>
+                        <button class="footer-action exclude-site" title="Never index this site">🚫 Exclude this site</button>
                     </div>
                 </div>
             </div>
@@ -263,20 +735,52 @@
             if (e.target === overlay) closeModal();
         });
         searchInput.addEventListener('input', handleSearch);
+        shadowRoot.querySelector('.exclude-site').addEventListener('click', excludeCurrentSite);
+        shadowRoot.querySelector('.window-filter').addEventListener('click', toggleWindowFilter);
         document.addEventListener('keydown', handleKeyDown, true);
+        document.addEventListener('focusin', trapFocus, true);
     }
     
     function openModal() {
         createModal();
+        previouslyFocused = document.activeElement;
+        lastAnnouncement = null;
         isOpen = true;
         selectedIndex = 0;
+        closedResults = [];
+        searchHighlights = {};
+        searchCorrection = null;
+        previewCache = new Map();
+        expandedExplanations = new Set();
+        listHeader = null;
+        naturalQueryRan = null;
+        markedTabIds = new Set();
+        paletteItems = null;
+        pendingConfirmation = null;
+        groupProposal = null;
+        ungroupedTabs = [];
+        duplicateGroups = null;
+        archiveProposal = null;
+        closeActionMenu();
+        // Tokens (--st-*) shared with the popup and options pages (theme.js)
+        shadowRoot.querySelector('.theme-tokens').textContent = TabystTheme.buildCss(':host', themePreferences || {});
         const overlay = shadowRoot.querySelector('.overlay');
         overlay.classList.remove('hidden');
+        overlay.classList.toggle('standalone', sourceTab !== null);
         
         renderSuggestions(currentSuggestions);
         searchInput.focus();
         searchInput.value = '';
 
+        shadowRoot.querySelector('.privacy-badge').classList.toggle('hidden', !privacyMode);
+        updateWindowFilterButton();
+
+        const excludeButton = shadowRoot.querySelector('.exclude-site');
+        excludeButton.disabled = false;
+        excludeButton.textContent = '🚫 Exclude this site';
+        // Restricted pages are never indexed
+        excludeButton.classList.toggle('hidden', sourceTab !== null);
+
         setTimeout(() => {
             overlay.classList.add('visible');
             supertabModal.classList.add('visible');
@@ -285,126 +789,1575 @@
 
     function closeModal() {
         if (!isOpen) return;
+        if (sourceTab) {
+            window.close();
+            return;
+        }
         isOpen = false;
+        closeActionMenu();
         const overlay = shadowRoot.querySelector('.overlay');
         overlay.classList.remove('visible');
         supertabModal.classList.remove('visible');
         setTimeout(() => {
             overlay.classList.add('hidden');
-        }, 200);
+        }, prefersReducedMotion() ? 0 : 200);
+
+        // Back to where the user was
+        if (previouslyFocused && previouslyFocused.isConnected && typeof previouslyFocused.focus === 'function') {
+            previouslyFocused.focus();
+        }
+        previouslyFocused = null;
+    }
+
+    function prefersReducedMotion() {
+        return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    // Focus leaving the modal (e.g. Shift+Tab into the page) comes back to the search input
+    function trapFocus(e) {
+        if (isOpen && e.target !== supertabContainer) {
+            searchInput.focus();
+        }
+    }
+
+    // Tab / Shift+Tab between the modal controls (input, buttons)
+    function cycleFocus(direction) {
+        const focusable = [...shadowRoot.querySelectorAll('.search-input, .window-filter:not(.hidden), .exclude-site:not(:disabled):not(.hidden)')];
+        const current = focusable.indexOf(shadowRoot.activeElement);
+        const next = current === -1 ? 0 : (current + direction + focusable.length) % focusable.length;
+        focusable[next].focus();
+    }
+
+    // Screen readers: result counts when results change, the reason when the selection moves
+    function announceResults() {
+        const items = getVisibleItems();
+        const selected = items[selectedIndex];
+        const results = [searchInput.value, listHeader, filteredSuggestions.length, closedResults.length, searchCorrection && searchCorrection.query].join('|');
+        const selection = selected ? `${results}|${selectedIndex}` : null;
+
+        if (lastAnnouncement && lastAnnouncement.results === results && lastAnnouncement.selection === selection) return;
+
+        let message = '';
+        if (!lastAnnouncement || lastAnnouncement.results !== results) {
+            message = [
+                listHeader,
+                `${filteredSuggestions.length} tab${filteredSuggestions.length === 1 ? '' : 's'}`,
+                closedResults.length > 0 && `${closedResults.length} recently closed`,
+                searchCorrection && `Did you mean ${searchCorrection.query}? Press Enter to search it`
+            ].filter(Boolean).join('. ');
+        } else if (selected && selected.reason) {
+            message = `Suggested because: ${selected.reason}`;
+        }
+
+        lastAnnouncement = { results, selection };
+        if (message) shadowRoot.querySelector('.live-region').textContent = message;
     }
     
-    function renderSuggestions(tabsToRender) {
-        filteredSuggestions = tabsToRender;
+    function renderSuggestions(tabsToRender, emptyMessage = 'No matching tabs found.') {
+        resultTabs = tabsToRender;
+        filteredSuggestions = windowFilter === 'current'
+            ? tabsToRender.filter(tab => !tab.windowId || tab.windowId === currentWindowId)
+            : tabsToRender;
         if (!suggestionsList) return;
 
-        if (tabsToRender.length === 0) {
-            suggestionsList.innerHTML = `<div class="no-results">No matching tabs found.</div>`;
+        const header = (listHeader ? `<div class="list-section" role="presentation">${escapeHtml(listHeader)}</div>` : '') +
+            (searchCorrection ? `<div class="did-you-mean" role="presentation">Did you mean <strong>${escapeHtml(searchCorrection.query)}</strong>?</div>` : '');
+
+        if (filteredSuggestions.length === 0 && closedResults.length === 0) {
+            suggestionsList.innerHTML = `${header}<div class="no-results" role="presentation">${escapeHtml(emptyMessage)}</div>`;
+            searchInput.removeAttribute('aria-activedescendant');
+            bindCorrection();
+            updatePreview();
+            announceResults();
             return;
         }
 
-        suggestionsList.innerHTML = tabsToRender.map((tab, index) => {
-            const domain = tab.url ? new URL(tab.url).hostname.replace('www.', '') : 'Local page';
-            const safeTitle = tab.title.replace(/</g, "&lt;").replace(/>/g, "&gt;");
-            return `
-                <div class="tab-item ${index === selectedIndex ? 'selected' : ''}" data-index="${index}">
-                    <img src="${tab.favIconUrl || 'https://www.google.com/s2/favicons?sz=32&domain_url=example.com'}" class="favicon" alt="" onerror="this.src='https://placehold.co/32x32/e2e8f0/adb5bd?text=?'">
-                    <div class="tab-info">
-                        <div class="tab-title">${safeTitle || 'Untitled Tab'}</div>
-                        <div class="tab-url">${domain}</div>
-                    </div>
-                </div>
-            `;
-        }).join('');
+        const openItems = filteredSuggestions.map((tab, index) => renderTabItem(tab, index)).join('');
+        // Closed tabs come after open ones (indexes continue)
+        const closedItems = closedResults.map((tab, index) => renderTabItem(tab, filteredSuggestions.length + index)).join('');
+
+        suggestionsList.innerHTML = header + openItems +
+            (closedResults.length > 0 ? `<div class="list-section" role="presentation">Recently closed</div>${closedItems}` : '');
+        searchInput.setAttribute('aria-activedescendant', `tabyst-option-${selectedIndex}`);
 
         shadowRoot.querySelectorAll('.tab-item').forEach(item => {
-            item.addEventListener('click', () => {
+            item.addEventListener('click', (e) => {
                 selectedIndex = parseInt(item.dataset.index);
+                if (e.shiftKey) {
+                    toggleMarked(getVisibleItems()[selectedIndex]);
+                    renderSuggestions(resultTabs);
+                    return;
+                }
                 selectTab();
             });
         });
+        shadowRoot.querySelectorAll('.why-toggle').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                toggleExplanation(getVisibleItems()[parseInt(button.dataset.index)]);
+            });
+        });
+        shadowRoot.querySelectorAll('.why-copy').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                copyExplanation(getVisibleItems()[parseInt(button.dataset.index)]);
+            });
+        });
+        bindCorrection();
         scrollToSelected();
+        updatePreview();
+        announceResults();
     }
-    
-    function handleKeyDown(e) {
-        if (!isOpen) return;
-        
-        if (['ArrowUp', 'ArrowDown', 'Enter', 'Escape'].includes(e.key)) {
-            e.preventDefault();
-            e.stopPropagation();
 
-            switch(e.key) {
-                case 'Escape':
-                    closeModal();
-                    break;
-                case 'ArrowDown':
-                    selectedIndex = (selectedIndex + 1) % filteredSuggestions.length;
-                    renderSuggestions(filteredSuggestions);
-                    break;
-                case 'ArrowUp':
-                    selectedIndex = (selectedIndex - 1 + filteredSuggestions.length) % filteredSuggestions.length;
-                    renderSuggestions(filteredSuggestions);
-                    break;
-                case 'Enter':
-                    selectTab();
-                    break;
-            }
+    // Preview pane: indexed data of the selected item (cached while the modal is open)
+    function updatePreview() {
+        const pane = shadowRoot.querySelector('.preview-pane');
+        const item = getVisibleItems()[selectedIndex];
+
+        if (!item) {
+            previewKey = null;
+            pane.innerHTML = '<div class="preview-empty">No tab selected</div>';
+            return;
         }
-    }
-    
-    function selectTab() {
-        if (selectedIndex >= filteredSuggestions.length) return;
 
-        const selectedTab = filteredSuggestions[selectedIndex];
+        const key = item.recordId ? `record:${item.recordId}` : `tab:${item.id}`;
+        previewKey = key;
+        renderPreview(pane, item, previewCache.get(key) || null);
+        if (previewCache.has(key)) return;
+
         chrome.runtime.sendMessage({
-            action: "switch-tab",
-            tabId: selectedTab.id,
-            windowId: selectedTab.windowId
+            action: "get-tab-preview",
+            tabId: item.recordId ? null : item.id,
+            recordId: item.recordId || null
+        }, (response) => {
+            if (!response || !response.success) return;
+            previewCache.set(key, response.preview);
+            // Ignore stale responses (selection moved)
+            if (isOpen && previewKey === key) renderPreview(pane, item, response.preview);
         });
-        closeModal();
     }
-    
-    function handleSearch() {
-        selectedIndex = 0;
-        const query = searchInput.value.toLowerCase();
-        
-        if (!query) {
-            renderSuggestions(currentSuggestions);
-            return;
-        }
-        
-        // Recherche locale rapide
-        const localFiltered = currentSuggestions.filter(tab => 
-            (tab.title && tab.title.toLowerCase().includes(query)) ||
-            (tab.url && tab.url.toLowerCase().includes(query))
-        );
-        
-        // Si peu de résultats locaux, demande fuzzy search au background
-        if (localFiltered.length < 3) {
-            chrome.runtime.sendMessage({
-                action: "fuzzy-search",
-                query: query
-            }, (response) => {
-                if (response && response.results) {
-                    // Convertit résultats fuzzy en format tab
-                    const fuzzyResults = response.results.map(r => 
-                        currentSuggestions.find(t => t.id === r.id)
-                    ).filter(Boolean);
-                    
-                    renderSuggestions(fuzzyResults.length > 0 ? fuzzyResults : localFiltered);
-                } else {
-                    renderSuggestions(localFiltered);
-                }
-            });
-        } else {
-            renderSuggestions(localFiltered);
+
+    function renderPreview(pane, item, preview) {
+        const domain = item.url ? new URL(item.url).hostname.replace('www.', '') : 'Local page';
+        const chips = (values, className) => values.slice(0, 8)
+            .map(value => `<span class="chip ${className}">${escapeHtml(value)}</span>`)
+            .join('');
+
+        let details = '<div class="preview-empty">Loading…</div>';
+        if (preview) {
+            const count = preview.accessCount;
+            details = `
+                ${preview.summary
+                    ? `<p class="preview-summary">${escapeHtml(preview.summary)}</p>`
+                    : `<div class="preview-empty">${privacyMode ? 'Privacy mode: page content is not indexed' : 'Not indexed yet'}</div>`}
+                ${preview.entities.length > 0 ? `<div class="preview-section">Entities</div><div class="chips">${chips(preview.entities, 'entity')}</div>` : ''}
+                ${preview.topics.length > 0 ? `<div class="preview-section">Topics</div><div class="chips">${chips(preview.topics, 'topic')}</div>` : ''}
+                <div class="preview-meta">
+                    ${preview.lastAccessedAt ? `<div>Last accessed ${formatTimeAgo(preview.lastAccessedAt)}</div>` : ''}
+                    <div>Opened ${count} time${count === 1 ? '' : 's'}</div>
+                </div>
+            `;
         }
+
+        pane.innerHTML = `
+            <div class="preview-title">${escapeHtml(item.title || 'Untitled Tab')}</div>
+            <div class="preview-domain">${escapeHtml(domain)}${preview && preview.type ? ` · <span class="chip">${escapeHtml(preview.type)}</span>` : ''}</div>
+            ${details}
+            ${item.reason ? `<div class="preview-section">Why suggested</div><div>${escapeHtml(item.reason)}</div>` : ''}
+        `;
     }
-    
-    function scrollToSelected() {
-        const selectedElement = suggestionsList.querySelector('.selected');
-        if (selectedElement) {
-            selectedElement.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-        }
+
+    function bindCorrection() {
+        const row = shadowRoot.querySelector('.did-you-mean');
+        if (row) row.addEventListener('click', applyCorrection);
+    }
+
+    function applyCorrection() {
+        if (!searchCorrection) return;
+        searchInput.value = searchCorrection.query;
+        searchInput.focus();
+        handleSearch();
+    }
+
+    function renderTabItem(tab, index) {
+        const domain = tab.url ? new URL(tab.url).hostname.replace('www.', '') : 'Local page';
+        // Closed tabs are searched separately (no ranges)
+        const ranges = !tab.recordId ? searchHighlights[tab.id] : null;
+        const showExplanation = tab.explanation && expandedExplanations.has(tab.id);
+        const isMarked = !tab.recordId && markedTabIds.has(tab.id);
+        const safeTitle = highlightText(tab.title || '', ranges && ranges.title);
+        const safeDomain = highlightText(domain, ranges && ranges.domain);
+        const windowLabel = !tab.recordId && Object.keys(windowLabels).length > 1 && windowLabels[tab.windowId];
+        const subtitle = tab.recordId
+            ? `${safeDomain} · ${tab.archivedAt ? `archived ${formatTimeAgo(tab.archivedAt)}` : `closed ${formatTimeAgo(tab.closedAt)}`}`
+            : `${safeDomain}${windowLabel ? `<span class="window-label">${escapeHtml(windowLabel)}</span>` : ''}${tab.discarded ? '<span class="window-label discarded-label" title="Unloaded to save memory, reloads when you switch to it">💤 Unloaded</span>' : ''}`;
+        return `
+            <div class="tab-item ${index === selectedIndex ? 'selected' : ''} ${isMarked ? 'marked' : ''}" data-index="${index}"
+                id="tabyst-option-${index}" role="option" aria-selected="${index === selectedIndex}">
+                <img src="${tab.favIconUrl || 'https://www.google.com/s2/favicons?sz=32&domain_url=example.com'}" class="favicon" alt="" onerror="this.src='https://placehold.co/32x32/e2e8f0/adb5bd?text=?'">
+                <div class="tab-info">
+                    <div class="tab-title">${safeTitle || 'Untitled Tab'}${isMarked ? '<span class="sr-only">, marked</span>' : ''}</div>
+                    <div class="tab-url">${subtitle}</div>
+                    ${tab.snippet ? `<div class="tab-snippet"><span class="snippet-label">${tab.snippet.label}:</span> ${escapeHtml(tab.snippet.text)}</div>` : ''}
+                    ${showExplanation ? renderExplanation(tab.explanation, index) : ''}
+                </div>
+                ${tab.explanation ? `<button class="why-toggle" data-index="${index}" tabindex="-1" title="Why this suggestion (Ctrl+I)">${showExplanation ? 'Hide' : 'Why?'}</button>` : ''}
+            </div>
+        `;
+    }
+
+    function renderExplanation(explanation, index) {
+        const signals = explanation.signals
+            .filter(signal => signal.weight > 0)
+            .map(signal => `
+                <div class="why-signal" title="${Math.round(signal.value * 100)}% × weight ${signal.weight.toFixed(2)}">
+                    <span class="why-label">${escapeHtml(signal.label)}</span>
+                    <span class="why-bar"><span style="width: ${Math.round(Math.min(signal.value, 1) * 100)}%"></span></span>
+                    <span class="why-value">+${signal.contribution.toFixed(3)}</span>
+                </div>
+            `).join('');
+        const extras = getExplanationExtras(explanation)
+            .map(line => `<div class="why-extra">${escapeHtml(line)}</div>`)
+            .join('');
+
+        return `
+            <div class="why">
+                ${signals}${extras}
+                <div class="why-footer">
+                    <span>Score ${explanation.total.toFixed(3)} · ${explanation.mode} mode</span>
+                    <button class="why-copy" data-index="${index}" tabindex="-1">Copy</button>
+                </div>
+            </div>
+        `;
+    }
+
+    function getExplanationExtras(explanation) {
+        return [
+            explanation.sharedEntities.length > 0 && `Shared entities: ${explanation.sharedEntities.join(', ')}`,
+            explanation.sharedTopics.length > 0 && `Shared topics: ${explanation.sharedTopics.join(', ')}`,
+            explanation.workflowBonus > 0 && `Workflow bonus: +${explanation.workflowBonus.toFixed(3)}`,
+            explanation.sameWindowBonus > 0 && `Same window bonus: +${explanation.sameWindowBonus.toFixed(3)}`
+        ].filter(Boolean);
+    }
+
+    function toggleExplanation(item) {
+        if (!item || !item.explanation) return;
+
+        if (expandedExplanations.has(item.id)) {
+            expandedExplanations.delete(item.id);
+        } else {
+            expandedExplanations.add(item.id);
+        }
+        renderSuggestions(resultTabs);
+    }
+
+    // Plain-text report, to share a bad ranking with evidence
+    function copyExplanation(item) {
+        if (!item || !item.explanation) return;
+
+        const explanation = item.explanation;
+        const report = [
+            `Why "${item.title || 'Untitled Tab'}" was suggested (${explanation.mode} mode, score ${explanation.total.toFixed(3)})`,
+            `URL: ${item.url}`,
+            ...explanation.signals.map(signal =>
+                `- ${signal.label}: ${signal.value.toFixed(3)} × ${signal.weight.toFixed(2)} = +${signal.contribution.toFixed(3)}`
+            ),
+            ...getExplanationExtras(explanation)
+        ].join('\n');
+
+        navigator.clipboard.writeText(report)
+            .then(() => showStatus('✓ Explanation copied'))
+            .catch(() => showStatus('Could not copy the explanation'));
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    }
+
+    // Escapes every segment, only our <mark> tags are HTML
+    function highlightText(text, ranges) {
+        if (!ranges || ranges.length === 0) return escapeHtml(text);
+
+        let html = '';
+        let position = 0;
+        ranges.forEach(([start, end]) => {
+            if (start < position || end > text.length) return;
+            html += escapeHtml(text.slice(position, start)) + `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+            position = end;
+        });
+        return html + escapeHtml(text.slice(position));
+    }
+
+    function formatTimeAgo(timestamp) {
+        if (!timestamp) return 'earlier';
+
+        const minutes = Math.floor((Date.now() - timestamp) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes}m ago`;
+        if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+        return `${Math.floor(minutes / (24 * 60))}d ago`;
+    }
+
+    function toggleWindowFilter() {
+        windowFilter = windowFilter === 'all' ? 'current' : 'all';
+        selectedIndex = 0;
+        updateWindowFilterButton();
+        renderSuggestions(resultTabs);
+        searchInput.focus();
+    }
+
+    function updateWindowFilterButton() {
+        const button = shadowRoot.querySelector('.window-filter');
+        // Only useful with several windows
+        button.classList.toggle('hidden', Object.keys(windowLabels).length < 2);
+        button.textContent = windowFilter === 'all' ? '🪟 All windows' : '🪟 This window';
+    }
+
+    function getVisibleItems() {
+        return [...filteredSuggestions, ...closedResults];
+    }
+    
+    function handleKeyDown(e) {
+        if (!isOpen) return;
+
+        if (actionMenu) {
+            handleActionMenuKeyDown(e);
+            return;
+        }
+
+        if (paletteItems) {
+            handlePaletteKeyDown(e);
+            return;
+        }
+
+        // Ctrl/Cmd+I = "Why this suggestion" for the selected row
+        if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'i') {
+            e.preventDefault();
+            e.stopPropagation();
+            toggleExplanation(getVisibleItems()[selectedIndex]);
+            return;
+        }
+
+        // Tab from the search input = action menu, elsewhere it moves focus (kept inside the modal)
+        const isActionShortcut = (e.key === 'Tab' && !e.shiftKey && shadowRoot.activeElement === searchInput) ||
+            ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'k');
+        if (isActionShortcut) {
+            e.preventDefault();
+            e.stopPropagation();
+            openActionMenu();
+            return;
+        }
+        if (e.key === 'Tab') {
+            e.preventDefault();
+            e.stopPropagation();
+            cycleFocus(e.shiftKey ? -1 : 1);
+            return;
+        }
+        // Enter on a focused button activates it
+        if (e.key === 'Enter' && shadowRoot.activeElement && shadowRoot.activeElement.tagName === 'BUTTON') return;
+        
+        if (['ArrowUp', 'ArrowDown', 'Enter', 'Escape'].includes(e.key)) {
+            e.preventDefault();
+            e.stopPropagation();
+
+            const count = getVisibleItems().length;
+
+            switch(e.key) {
+                case 'Escape':
+                    closeModal();
+                    break;
+                case 'ArrowDown':
+                case 'ArrowUp':
+                    if (count === 0) break;
+                    // Shift = multi-select (marks the current and the next result)
+                    if (e.shiftKey) markItem(getVisibleItems()[selectedIndex]);
+                    selectedIndex = e.key === 'ArrowDown'
+                        ? (selectedIndex + 1) % count
+                        : (selectedIndex - 1 + count) % count;
+                    if (e.shiftKey) markItem(getVisibleItems()[selectedIndex]);
+                    renderSuggestions(resultTabs);
+                    break;
+                case 'Enter':
+                    if (isNaturalQuery() && naturalQueryRan !== searchInput.value) {
+                        runNaturalQuery();
+                    } else if (count === 0 && searchCorrection) {
+                        applyCorrection();
+                    } else {
+                        selectTab();
+                    }
+                    break;
+            }
+        }
+    }
+
+    function markItem(item) {
+        // Closed tabs can only be reopened
+        if (item && !item.recordId) markedTabIds.add(item.id);
+    }
+
+    function toggleMarked(item) {
+        if (!item || item.recordId) return;
+        if (markedTabIds.has(item.id)) {
+            markedTabIds.delete(item.id);
+        } else {
+            markedTabIds.add(item.id);
+        }
+    }
+
+    /**
+     * Targets of an action: marked tabs (even if filtered out by the search), or the selected one
+     */
+    function getActionTargets() {
+        if (markedTabIds.size > 0) {
+            const knownTabs = new Map([...currentSuggestions, ...resultTabs].map(tab => [tab.id, tab]));
+            return [...markedTabIds].map(id => knownTabs.get(id) || { id });
+        }
+        const selected = getVisibleItems()[selectedIndex];
+        return selected && !selected.recordId ? [selected] : [];
+    }
+
+    function openActionMenu() {
+        const targets = getActionTargets();
+        if (targets.length === 0) return;
+
+        actionMenu = {
+            level: 'actions',
+            items: TAB_ACTIONS,
+            index: 0,
+            tabIds: targets.map(tab => tab.id),
+            title: targets.length === 1 ? targets[0].title : `${targets.length} tabs`
+        };
+        renderActionMenu();
+    }
+
+    function closeActionMenu() {
+        const wasOpen = actionMenu !== null;
+        actionMenu = null;
+        const menu = shadowRoot && shadowRoot.querySelector('.action-menu');
+        if (menu) menu.classList.add('hidden');
+        // Screen readers: back to the selected result
+        if (wasOpen && getVisibleItems().length > 0) {
+            searchInput.setAttribute('aria-activedescendant', `tabyst-option-${selectedIndex}`);
+        }
+    }
+
+    function renderActionMenu() {
+        const menu = shadowRoot.querySelector('.action-menu');
+        if (!actionMenu) {
+            menu.classList.add('hidden');
+            return;
+        }
+
+        menu.innerHTML = `
+            <div class="action-menu-title" role="presentation">${escapeHtml(actionMenu.title || 'Untitled Tab')}</div>
+            ${actionMenu.items.map((item, index) => `
+                <div class="action-item ${index === actionMenu.index ? 'selected' : ''}" data-index="${index}"
+                    id="tabyst-action-${index}" role="menuitem">
+                    <span class="action-icon" aria-hidden="true">${item.icon}</span>
+                    <span>${escapeHtml(item.label)}</span>
+                </div>
+            `).join('')}
+        `;
+        menu.classList.remove('hidden');
+        searchInput.setAttribute('aria-activedescendant', `tabyst-action-${actionMenu.index}`);
+
+        menu.querySelectorAll('.action-item').forEach(element => {
+            element.addEventListener('click', () => {
+                actionMenu.index = parseInt(element.dataset.index);
+                runSelectedAction();
+            });
+        });
+    }
+
+    function handleActionMenuKeyDown(e) {
+        if (!['ArrowUp', 'ArrowDown', 'Enter', 'Escape', 'Tab'].includes(e.key)) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        const count = actionMenu.items.length;
+
+        switch(e.key) {
+            case 'Escape':
+            case 'Tab':
+                closeActionMenu();
+                break;
+            case 'ArrowDown':
+                actionMenu.index = (actionMenu.index + 1) % count;
+                renderActionMenu();
+                break;
+            case 'ArrowUp':
+                actionMenu.index = (actionMenu.index - 1 + count) % count;
+                renderActionMenu();
+                break;
+            case 'Enter':
+                runSelectedAction();
+                break;
+        }
+    }
+
+    function runSelectedAction() {
+        const item = actionMenu.items[actionMenu.index];
+        const tabIds = actionMenu.tabIds;
+
+        if (actionMenu.level === 'groups') {
+            runTabAction('group-tabs', tabIds, { groupId: item.groupId });
+            return;
+        }
+
+        if (item.id === 'group') {
+            // Second level: new group or existing groups of this window
+            chrome.runtime.sendMessage(withSource({ action: "get-tab-groups" }), (response) => {
+                if (!actionMenu) return;
+                const groups = (response && response.groups) || [];
+                actionMenu = {
+                    ...actionMenu,
+                    level: 'groups',
+                    index: 0,
+                    items: [
+                        { label: 'New group', icon: '＋', groupId: null },
+                        ...groups.map(group => ({ label: group.title, icon: '🗂️', groupId: group.id }))
+                    ]
+                };
+                renderActionMenu();
+            });
+            return;
+        }
+
+        runTabAction(item.message, tabIds);
+    }
+
+    function runTabAction(message, tabIds, extra = {}) {
+        closeActionMenu();
+
+        chrome.runtime.sendMessage({ action: message, tabIds, ...extra }, async (response) => {
+            if (!response || !response.success) {
+                showStatus(`Action failed${response && response.error ? `: ${response.error}` : ''}`);
+                return;
+            }
+
+            const count = response.count;
+            const plural = count > 1 ? 's' : '';
+
+            switch (message) {
+                case 'close-tabs':
+                    currentSuggestions = currentSuggestions.filter(tab => !tabIds.includes(tab.id));
+                    markedTabIds = new Set();
+                    selectedIndex = 0;
+                    showStatus(`✓ Closed ${count} tab${plural}`, resultTabs.filter(tab => !tabIds.includes(tab.id)));
+                    break;
+                case 'pin-tabs':
+                    showStatus(`✓ ${response.pinned ? 'Pinned' : 'Unpinned'} ${count} tab${plural}`);
+                    break;
+                case 'mute-tabs':
+                    showStatus(`✓ ${response.muted ? 'Muted' : 'Unmuted'} ${count} tab${plural}`);
+                    break;
+                case 'move-tabs-to-new-window':
+                    closeModal();
+                    break;
+                case 'group-tabs':
+                    markedTabIds = new Set();
+                    showStatus(`✓ Grouped ${count} tab${plural}`);
+                    break;
+                case 'copy-tab-urls':
+                    try {
+                        await navigator.clipboard.writeText(response.urls.join('\n'));
+                        showStatus(`✓ Copied ${count} URL${plural}`);
+                    } catch (error) {
+                        showStatus('Could not access the clipboard');
+                    }
+                    break;
+                case 'duplicate-tabs':
+                    showStatus(`✓ Duplicated ${count} tab${plural}`);
+                    break;
+            }
+        });
+    }
+
+    function showStatus(message, tabsToRender = resultTabs) {
+        if (!isOpen) return;
+        listHeader = message;
+        renderSuggestions(tabsToRender);
+    }
+    
+    function selectTab() {
+        const items = getVisibleItems();
+        if (selectedIndex >= items.length) return;
+
+        const selectedTab = items[selectedIndex];
+
+        if (selectedTab.recordId) {
+            // Closed tab: reopen it (background re-links the record to the new tab)
+            chrome.runtime.sendMessage(withSource({
+                action: "reopen-closed-tab",
+                recordId: selectedTab.recordId
+            }), closeAfterSwitch);
+            if (!sourceTab) closeModal();
+            return;
+        }
+
+        chrome.runtime.sendMessage(withSource({
+            action: "switch-tab",
+            tabId: selectedTab.id,
+            windowId: selectedTab.windowId
+        }), closeAfterSwitch);
+        if (!sourceTab) closeModal();
+    }
+
+    // The switcher window closes once the background has the message
+    function closeAfterSwitch() {
+        if (sourceTab) closeModal();
+    }
+    
+    function handleSearch() {
+        selectedIndex = 0;
+        listHeader = null;
+        searchHighlights = {};
+        searchCorrection = null;
+        closeActionMenu();
+        naturalQueryRan = null;
+        pendingConfirmation = null;
+
+        const prefix = getPalettePrefix();
+        if (prefix) {
+            runPalette(prefix, searchInput.value.trimStart().slice(1));
+            return;
+        }
+        paletteItems = null;
+
+        if (isNaturalQuery()) {
+            // Mode langage naturel : lancé avec Enter (Prompt API côté background)
+            closedResults = [];
+            renderSuggestions([], searchInput.value.trim().length > 1
+                ? 'Press Enter to search in natural language'
+                : 'Ask in natural language, e.g. "?github PRs I looked at this morning about auth"');
+            return;
+        }
+
+        const query = searchInput.value.toLowerCase();
+        
+        if (!query) {
+            closedResults = [];
+            renderSuggestions(currentSuggestions);
+            return;
+        }
+
+        searchClosedTabs(query);
+        
+        // Recherche locale rapide
+        const localFiltered = currentSuggestions.filter(tab => 
+            (tab.title && tab.title.toLowerCase().includes(query)) ||
+            (tab.url && tab.url.toLowerCase().includes(query))
+        );
+        
+        renderSuggestions(localFiltered);
+        
+        // Puis fuzzy + contenu indexé (résumés, entités, topics) côté background
+        chrome.runtime.sendMessage({
+            action: "fuzzy-search",
+            query: query,
+            tabIds: localFiltered.map(t => t.id)
+        }, (response) => {
+            // Ignore stale responses (user kept typing)
+            if (!isOpen || searchInput.value.toLowerCase() !== query) return;
+            if (!response || !response.results) return;
+            
+            // Matches locaux d'abord, puis ceux du background (avec snippet)
+            const snippets = new Map(response.results.map(r => [r.id, r.snippet]));
+            const localIds = new Set(localFiltered.map(t => t.id));
+            const results = [
+                ...localFiltered.map(t => ({ ...t, snippet: snippets.get(t.id) || null })),
+                ...response.results.filter(r => !localIds.has(r.id))
+            ];
+            
+            searchHighlights = response.highlights || {};
+            searchCorrection = response.correction || null;
+            renderSuggestions(results);
+        });
+    }
+    
+    function getPalettePrefix() {
+        const first = searchInput.value.trimStart().charAt(0);
+        return PALETTE_HINTS[first] ? first : null;
+    }
+
+    /**
+     * Prefix mode: commands (local) or completions / scoped results (background providers)
+     */
+    function runPalette(prefix, term) {
+        closedResults = [];
+
+        if (prefix === '>') {
+            const query = term.trim().toLowerCase();
+            paletteItems = PALETTE_COMMANDS
+                .map(command => {
+                    // ">save client A": words after the keyword are the command's argument
+                    if (command.keyword && query.startsWith(`${command.keyword} `)) {
+                        const argument = term.trim().slice(command.keyword.length).trim();
+                        return { ...command, prefix, argument, detail: `${command.label} as "${argument}"` };
+                    }
+                    return `${command.label} ${command.detail}`.toLowerCase().includes(query) ? { ...command, prefix } : null;
+                })
+                .filter(Boolean);
+            renderPalette(PALETTE_EMPTY[prefix]);
+            return;
+        }
+
+        const value = searchInput.value;
+        chrome.runtime.sendMessage({
+            action: "palette-search",
+            prefix: prefix,
+            term: term
+        }, (response) => {
+            // Ignore stale responses (user kept typing)
+            if (!isOpen || searchInput.value !== value) return;
+
+            if (!response || !response.success) {
+                paletteItems = [];
+                renderPalette('Search failed');
+                return;
+            }
+
+            if (response.completions) {
+                paletteItems = response.completions.map(completion => ({ ...completion, prefix }));
+                renderPalette(PALETTE_EMPTY[prefix]);
+                return;
+            }
+
+            // Complete term: matching tabs, with the usual actions
+            paletteItems = null;
+            listHeader = response.header || null;
+            closedResults = response.closed || [];
+            renderSuggestions(response.results || [], 'No matching tabs');
+        });
+    }
+
+    function renderPalette(emptyMessage = PALETTE_EMPTY[getPalettePrefix()]) {
+        const pane = shadowRoot.querySelector('.preview-pane');
+        const prefix = getPalettePrefix();
+        pane.innerHTML = `<div class="preview-empty">${escapeHtml(PALETTE_HINTS[prefix] || '')}</div>`;
+        previewKey = null;
+
+        const header = listHeader ? `<div class="list-section" role="presentation">${escapeHtml(listHeader)}</div>` : '';
+
+        if (paletteItems.length === 0) {
+            suggestionsList.innerHTML = `${header}<div class="no-results" role="presentation">${escapeHtml(emptyMessage)}</div>`;
+            searchInput.removeAttribute('aria-activedescendant');
+        } else {
+            selectedIndex = Math.min(selectedIndex, paletteItems.length - 1);
+            suggestionsList.innerHTML = header + paletteItems.map((item, index) => {
+                const isCommand = item.prefix === '>';
+                const title = isCommand || item.kind === 'workflow' ? item.label : `${item.prefix}${item.label}`;
+                const detail = isCommand || item.detail ? item.detail : item.kind;
+                const count = item.count !== undefined
+                    ? `${item.count} ${item.kind === 'workflow' ? 'page' : 'tab'}${item.count === 1 ? '' : 's'}`
+                    : '';
+                return `
+                    <div class="tab-item palette-item ${index === selectedIndex ? 'selected' : ''}" data-index="${index}"
+                        id="tabyst-option-${index}" role="option" aria-selected="${index === selectedIndex}">
+                        <span class="palette-icon" aria-hidden="true">${item.icon || COMPLETION_ICONS[item.kind] || ''}</span>
+                        <div class="tab-info">
+                            <div class="tab-title">${escapeHtml(title)}</div>
+                            <div class="tab-url">${escapeHtml(detail)}</div>
+                        </div>
+                        ${count ? `<span class="palette-count">${count}</span>` : ''}
+                    </div>
+                `;
+            }).join('');
+            searchInput.setAttribute('aria-activedescendant', `tabyst-option-${selectedIndex}`);
+
+            suggestionsList.querySelectorAll('.palette-item').forEach(element => {
+                element.addEventListener('click', () => {
+                    selectedIndex = parseInt(element.dataset.index);
+                    acceptPaletteItem(true);
+                });
+            });
+            scrollToSelected();
+        }
+
+        // Screen readers: count when the list changes (the selection is read through aria-activedescendant)
+        const results = ['palette', searchInput.value, listHeader, paletteItems.length].join('|');
+        if (!lastAnnouncement || lastAnnouncement.results !== results) {
+            const count = paletteItems.length;
+            shadowRoot.querySelector('.live-region').textContent = [
+                listHeader,
+                count > 0 ? `${count} suggestion${count === 1 ? '' : 's'}` : emptyMessage
+            ].filter(Boolean).join('. ');
+        }
+        lastAnnouncement = { results, selection: `${results}|${selectedIndex}` };
+    }
+
+    function handlePaletteKeyDown(e) {
+        if (!['ArrowUp', 'ArrowDown', 'Enter', 'Escape', 'Tab'].includes(e.key)) return;
+        // Enter on a focused button activates it
+        if (e.key === 'Enter' && shadowRoot.activeElement && shadowRoot.activeElement.tagName === 'BUTTON') return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        const count = paletteItems.length;
+
+        switch(e.key) {
+            case 'Escape':
+                closeModal();
+                break;
+            case 'Tab':
+                // Tab completes from the input, Shift+Tab / other controls move focus
+                if (!e.shiftKey && shadowRoot.activeElement === searchInput) {
+                    acceptPaletteItem(false);
+                } else {
+                    cycleFocus(e.shiftKey ? -1 : 1);
+                }
+                break;
+            case 'ArrowDown':
+            case 'ArrowUp':
+                if (count === 0) break;
+                selectedIndex = e.key === 'ArrowDown'
+                    ? (selectedIndex + 1) % count
+                    : (selectedIndex - 1 + count) % count;
+                renderPalette();
+                break;
+            case 'Enter':
+                acceptPaletteItem(true);
+                break;
+        }
+    }
+
+    /**
+     * Completion: fill the input with the selected value; commands run on Enter (run = true)
+     */
+    function acceptPaletteItem(run) {
+        const item = paletteItems[selectedIndex];
+        if (!item) return;
+
+        // Rows of a sub-list (tab group suggestions)
+        if (item.run) {
+            if (run) item.run();
+            return;
+        }
+
+        if (item.prefix === '>') {
+            if (run) {
+                runCommand(item);
+            } else {
+                searchInput.value = item.keyword ? `>${item.keyword} ` : `>${item.label}`;
+                handleSearch();
+            }
+            return;
+        }
+
+        searchInput.value = `${item.prefix}${item.value} `;
+        searchInput.focus();
+        handleSearch();
+    }
+
+    function runCommand(command) {
+        // Destructive commands need a second Enter
+        if (command.confirm && pendingConfirmation !== command.id) {
+            pendingConfirmation = command.id;
+            listHeader = `Press Enter again to ${command.label.toLowerCase()}`;
+            renderPalette();
+            return;
+        }
+        pendingConfirmation = null;
+
+        if (command.id === 'group-tabs') {
+            suggestTabGroups();
+            return;
+        }
+
+        if (command.id === 'close-duplicates') {
+            findDuplicates();
+            return;
+        }
+
+        if (command.id === 'archive-stale') {
+            suggestArchiving();
+            return;
+        }
+
+        if (command.id === 'archived-tabs') {
+            showArchivedTabs();
+            return;
+        }
+
+        if (command.id === 'save-workspace') {
+            if (command.argument) {
+                chooseWorkspaceSource(command.argument);
+            } else {
+                searchInput.value = `>${command.keyword} `;
+                handleSearch();
+                listHeader = 'Type a name for the workspace, e.g. >save client A';
+                renderPalette();
+            }
+            return;
+        }
+
+        if (command.id === 'switch-workspace' || command.id === 'delete-workspace') {
+            showWorkspaces(command.id === 'delete-workspace' ? 'delete' : 'switch');
+            return;
+        }
+
+        if (command.id === 'index-now' && privacyMode) {
+            listHeader = 'Privacy mode: AI indexing is disabled';
+            renderPalette();
+            return;
+        }
+
+        chrome.runtime.sendMessage({ action: command.message }, (response) => {
+            if (command.id === 'index-now' || command.id === 'open-options') return;
+            if (!isOpen || !paletteItems) return;
+
+            listHeader = response && response.success
+                ? command.status
+                : `${command.label} failed${response && response.error ? `: ${response.error}` : ''}`;
+            if (command.id === 'clear-data') previewCache = new Map();
+            renderPalette();
+        });
+
+        switch (command.id) {
+            case 'index-now':
+                // Indexing runs in the background (progress in the popup)
+                listHeader = '✓ Indexing started';
+                renderPalette();
+                break;
+            case 'open-options':
+                closeModal();
+                break;
+        }
+    }
+
+    // Tab group suggestions: groups → tabs of one group (Enter unticks) → apply
+    function suggestTabGroups() {
+        listHeader = 'Finding related tabs…';
+        renderPalette();
+
+        const value = searchInput.value;
+        chrome.runtime.sendMessage(withSource({ action: "suggest-tab-groups" }), (response) => {
+            // Ignore stale responses (user kept typing)
+            if (!isOpen || !paletteItems || searchInput.value !== value) return;
+
+            if (!response || !response.success) {
+                listHeader = 'Could not suggest groups';
+                renderPalette();
+                return;
+            }
+
+            groupProposal = response.groups.map(group => ({ ...group, excluded: new Set(), added: new Set() }));
+            ungroupedTabs = response.ungrouped || [];
+            showGroupProposal();
+        });
+    }
+
+    function getIncludedTabs(group) {
+        return [
+            ...group.tabs.filter(tab => !group.excluded.has(tab.id)),
+            ...ungroupedTabs.filter(tab => group.added.has(tab.id))
+        ];
+    }
+
+    // Ungrouped tabs not ticked into another group
+    function getAvailableTabs(group) {
+        return ungroupedTabs.filter(tab => !groupProposal.some(other => other !== group && other.added.has(tab.id)));
+    }
+
+    function showGroupProposal(status = null) {
+        const groups = groupProposal;
+        listHeader = status || (groups.length > 0 ? 'Suggested tab groups · Enter to review' : null);
+        selectedIndex = 0;
+        paletteItems = [
+            ...(groups.length > 1 ? [{
+                prefix: '>',
+                icon: '✓',
+                label: `Apply all ${groups.length} groups`,
+                detail: groups.map(group => group.name).join(', '),
+                run: () => applyTabGroups(groups)
+            }] : []),
+            ...groups.map(group => ({
+                prefix: '>',
+                icon: '🗂️',
+                label: group.name,
+                detail: getIncludedTabs(group).map(tab => tab.title).join(' · '),
+                count: getIncludedTabs(group).length,
+                run: () => showGroupMembers(group)
+            }))
+        ];
+        renderPalette('No related tabs to group in this window');
+    }
+
+    function showGroupMembers(group, index = 0) {
+        const included = getIncludedTabs(group).length;
+        listHeader = `${group.name} · Enter ticks or unticks a tab`;
+        const toggle = (set, tabId, itemIndex) => {
+            if (set.has(tabId)) {
+                set.delete(tabId);
+            } else {
+                set.add(tabId);
+            }
+            showGroupMembers(group, itemIndex);
+        };
+        selectedIndex = index;
+        paletteItems = [
+            {
+                prefix: '>',
+                icon: '✓',
+                label: `Apply "${group.name}"`,
+                detail: `Create the group with ${included} tab${included === 1 ? '' : 's'}`,
+                run: () => applyTabGroups([group])
+            },
+            ...group.tabs.map((tab, tabIndex) => ({
+                prefix: '>',
+                icon: group.excluded.has(tab.id) ? '☐' : '☑',
+                label: tab.title || 'Untitled Tab',
+                detail: tab.url ? new URL(tab.url).hostname.replace('www.', '') : '',
+                run: () => toggle(group.excluded, tab.id, tabIndex + 1)
+            })),
+            ...getAvailableTabs(group).map((tab, tabIndex) => ({
+                prefix: '>',
+                icon: group.added.has(tab.id) ? '☑' : '☐',
+                label: tab.title || 'Untitled Tab',
+                detail: `${tab.url ? new URL(tab.url).hostname.replace('www.', '') : ''} · not grouped`,
+                run: () => toggle(group.added, tab.id, group.tabs.length + tabIndex + 1)
+            })),
+            { prefix: '>', icon: '←', label: 'Back to all groups', detail: '', run: () => showGroupProposal() }
+        ];
+        renderPalette();
+    }
+
+    function applyTabGroups(groups) {
+        chrome.runtime.sendMessage({
+            action: "apply-tab-groups",
+            groups: groups.map(group => ({
+                name: group.name,
+                color: group.color,
+                tabIds: getIncludedTabs(group).map(tab => tab.id)
+            }))
+        }, (response) => {
+            if (!isOpen || !groupProposal) return;
+
+            if (!response || !response.success) {
+                listHeader = `Could not create the groups${response && response.error ? `: ${response.error}` : ''}`;
+                renderPalette();
+                return;
+            }
+
+            // Remaining suggestions stay available
+            groupProposal = groupProposal.filter(group => !groups.includes(group));
+            ungroupedTabs = ungroupedTabs.filter(tab => !groups.some(group => group.added.has(tab.id)));
+            const plural = response.count === 1 ? '' : 's';
+            showGroupProposal(`✓ Created ${response.count} group${plural} (${response.tabCount} tabs)`);
+        });
+    }
+
+    // Duplicate tabs: one row per group (Enter closes its duplicates) or all at once
+    function findDuplicates() {
+        listHeader = 'Looking for duplicate tabs…';
+        renderPalette();
+
+        const value = searchInput.value;
+        chrome.runtime.sendMessage({ action: "find-duplicates" }, (response) => {
+            // Ignore stale responses (user kept typing)
+            if (!isOpen || !paletteItems || searchInput.value !== value) return;
+
+            if (!response || !response.success) {
+                listHeader = 'Could not look for duplicates';
+                renderPalette();
+                return;
+            }
+
+            duplicateGroups = response.groups;
+            showDuplicateGroups();
+        });
+    }
+
+    function showDuplicateGroups(status = null) {
+        const groups = duplicateGroups;
+        const duplicateCount = groups.reduce((sum, group) => sum + group.tabs.length - 1, 0);
+        listHeader = status || (groups.length > 0 ? 'Duplicate tabs · Enter keeps the most recent one' : null);
+        selectedIndex = 0;
+        paletteItems = [
+            ...(groups.length > 1 ? [{
+                prefix: '>',
+                icon: '🧹',
+                label: `Close all ${duplicateCount} duplicates`,
+                detail: `${groups.length} pages open more than once`,
+                run: () => closeDuplicates(groups)
+            }] : []),
+            ...groups.map(group => ({
+                prefix: '>',
+                icon: group.kind === 'exact' ? '⧉' : '≈',
+                label: group.tabs[0].title || 'Untitled Tab',
+                detail: `${group.reason} · closes ${group.tabs.length - 1}`,
+                count: group.tabs.length,
+                run: () => closeDuplicates([group])
+            }))
+        ];
+        renderPalette('No duplicate tabs');
+    }
+
+    function closeDuplicates(groups) {
+        chrome.runtime.sendMessage({
+            action: "close-duplicates",
+            keys: groups.map(group => group.key)
+        }, (response) => {
+            if (!isOpen || !duplicateGroups) return;
+
+            if (!response || !response.success) {
+                listHeader = `Could not close the duplicates${response && response.error ? `: ${response.error}` : ''}`;
+                renderPalette();
+                return;
+            }
+
+            duplicateGroups = duplicateGroups.filter(group => !groups.includes(group));
+            const plural = response.closedCount === 1 ? '' : 's';
+            showDuplicateGroups(`✓ Closed ${response.closedCount} duplicate tab${plural}`);
+        });
+    }
+
+    // Stale tabs: Enter archives one (or all); archived tabs stay in closed-tab search
+    function suggestArchiving() {
+        listHeader = 'Looking for stale tabs…';
+        renderPalette();
+
+        const value = searchInput.value;
+        chrome.runtime.sendMessage({ action: "get-archive-recommendations" }, (response) => {
+            // Ignore stale responses (user kept typing)
+            if (!isOpen || !paletteItems || searchInput.value !== value) return;
+
+            if (!response || !response.success) {
+                listHeader = 'Could not look for stale tabs';
+                renderPalette();
+                return;
+            }
+
+            archiveProposal = response;
+            showArchiveProposal();
+        });
+    }
+
+    function showArchiveProposal(status = null) {
+        const { days, tabs } = archiveProposal;
+        listHeader = status || (tabs.length > 0 ? `Unused for ${days}+ days · Enter archives` : null);
+        selectedIndex = 0;
+        paletteItems = [
+            ...(tabs.length > 1 ? [{
+                prefix: '>',
+                icon: '📦',
+                label: `Archive all ${tabs.length} tabs`,
+                detail: 'Close them and keep their summaries and relationships',
+                run: () => archiveTabs(tabs)
+            }] : []),
+            ...tabs.map(tab => ({
+                prefix: '>',
+                icon: '🕸️',
+                label: tab.title || 'Untitled Tab',
+                detail: `Unused for ${tab.idleDays} days · opened ${tab.accessCount}×${tab.strength > 0 ? ` · linked ${Math.round(tab.strength * 100)}%` : ''}`,
+                run: () => archiveTabs([tab])
+            }))
+        ];
+        renderPalette(`No tab unused for ${days} days or more`);
+    }
+
+    function archiveTabs(tabs) {
+        chrome.runtime.sendMessage({
+            action: "archive-tabs",
+            tabIds: tabs.map(tab => tab.id)
+        }, (response) => {
+            if (!isOpen || !archiveProposal) return;
+
+            if (!response || !response.success) {
+                listHeader = `Could not archive${response && response.error ? `: ${response.error}` : ''}`;
+                renderPalette();
+                return;
+            }
+
+            archiveProposal.tabs = archiveProposal.tabs.filter(tab => !tabs.includes(tab));
+            const plural = response.archivedCount === 1 ? '' : 's';
+            showArchiveProposal(`✓ Archived ${response.archivedCount} tab${plural}`);
+        });
+    }
+
+    function showArchivedTabs() {
+        listHeader = 'Loading archived tabs…';
+        renderPalette();
+
+        const value = searchInput.value;
+        chrome.runtime.sendMessage({ action: "get-archived-tabs" }, (response) => {
+            // Ignore stale responses (user kept typing)
+            if (!isOpen || !paletteItems || searchInput.value !== value) return;
+
+            const tabs = (response && response.tabs) || [];
+            listHeader = tabs.length > 0 ? 'Archived tabs · Enter restores' : null;
+            selectedIndex = 0;
+            paletteItems = tabs.map(tab => ({
+                prefix: '>',
+                icon: '🗃️',
+                label: tab.title || 'Untitled Tab',
+                detail: `${tab.url ? new URL(tab.url).hostname.replace('www.', '') : ''} · archived ${formatTimeAgo(tab.archivedAt)}`,
+                run: () => {
+                    // Same as a closed tab: reopened with its record, relationships and history
+                    chrome.runtime.sendMessage(withSource({
+                        action: "reopen-closed-tab",
+                        recordId: tab.recordId
+                    }), closeAfterSwitch);
+                    if (!sourceTab) closeModal();
+                }
+            }));
+            renderPalette(response && response.success ? 'No archived tabs' : 'Could not load archived tabs');
+        });
+    }
+
+    // Workspaces: save (window, group or project) → list → switch or delete
+    function chooseWorkspaceSource(name) {
+        listHeader = 'Loading…';
+        renderPalette();
+
+        const value = searchInput.value;
+        chrome.runtime.sendMessage(withSource({ action: "get-workspace-sources" }), (response) => {
+            // Ignore stale responses (user kept typing)
+            if (!isOpen || !paletteItems || searchInput.value !== value) return;
+
+            if (!response || !response.success) {
+                listHeader = 'Could not load the tabs to save';
+                renderPalette();
+                return;
+            }
+
+            const { window: currentWindow, groups, clusters } = response.sources;
+            const plural = count => `${count} tab${count === 1 ? '' : 's'}`;
+            listHeader = `Save "${name}" from…`;
+            selectedIndex = 0;
+            paletteItems = [
+                {
+                    prefix: '>',
+                    icon: '🪟',
+                    label: 'This window',
+                    detail: currentWindow.workspaceName && currentWindow.workspaceName.toLowerCase() !== name.toLowerCase()
+                        ? `Now workspace "${currentWindow.workspaceName}"`
+                        : 'Every tab, with pinned tabs and groups',
+                    count: currentWindow.tabCount,
+                    run: () => saveWorkspace(name, {})
+                },
+                ...groups.map(group => ({
+                    prefix: '>',
+                    icon: '🗂️',
+                    label: `Group "${group.title || 'Unnamed'}"`,
+                    detail: `${plural(group.tabCount)} · ${group.color}`,
+                    count: group.tabCount,
+                    run: () => saveWorkspace(name, { groupId: group.groupId })
+                })),
+                ...clusters.map(cluster => ({
+                    prefix: '>',
+                    icon: '🧩',
+                    label: `Project "${cluster.label}"`,
+                    detail: `${plural(cluster.tabCount)} from all windows`,
+                    count: cluster.tabCount,
+                    run: () => saveWorkspace(name, { clusterId: cluster.clusterId })
+                }))
+            ];
+            renderPalette();
+        });
+    }
+
+    function saveWorkspace(name, source) {
+        chrome.runtime.sendMessage(withSource({ action: "save-workspace", name: name, source: source }), (response) => {
+            if (!isOpen || !paletteItems) return;
+
+            if (!response || !response.success) {
+                listHeader = `Could not save the workspace${response && response.error ? `: ${response.error}` : ''}`;
+                renderPalette();
+                return;
+            }
+
+            const { workspace } = response;
+            showWorkspaces('switch', `✓ Saved "${workspace.name}" (${workspace.tabCount} tab${workspace.tabCount === 1 ? '' : 's'})`);
+        });
+    }
+
+    function showWorkspaces(mode, status = null) {
+        if (!status) {
+            listHeader = 'Loading workspaces…';
+            renderPalette();
+        }
+
+        chrome.runtime.sendMessage({ action: "get-workspaces" }, (response) => {
+            if (!isOpen || !paletteItems) return;
+
+            const workspaces = (response && response.workspaces) || [];
+            listHeader = status || (workspaces.length === 0 ? null : mode === 'delete'
+                ? 'Workspaces · Enter twice deletes'
+                : 'Workspaces · Enter switches (this window\'s workspace is saved first)');
+            selectedIndex = 0;
+            paletteItems = workspaces.map(workspace => ({
+                prefix: '>',
+                icon: '💼',
+                label: workspace.name,
+                detail: workspace.openWindowId
+                    ? `Open${workspace.openWindowId === currentWindowId ? ' in this window' : ''}`
+                    : `Saved ${formatTimeAgo(workspace.updatedAt)}${workspace.groupCount ? ` · ${workspace.groupCount} group${workspace.groupCount === 1 ? '' : 's'}` : ''}`,
+                count: workspace.tabCount,
+                run: () => mode === 'delete' ? deleteWorkspace(workspace) : switchWorkspace(workspace)
+            }));
+            renderPalette(response && response.success ? 'No saved workspaces yet (>save name)' : 'Could not load workspaces');
+        });
+    }
+
+    function switchWorkspace(workspace) {
+        listHeader = `Opening "${workspace.name}"…`;
+        renderPalette();
+
+        chrome.runtime.sendMessage(withSource({ action: "switch-workspace", workspaceId: workspace.id }), (response) => {
+            if (!isOpen) return;
+
+            if (!response || !response.success) {
+                listHeader = `Could not open the workspace${response && response.error ? `: ${response.error}` : ''}`;
+                renderPalette();
+                return;
+            }
+
+            // Focus moved to the workspace window (this one may be closed already)
+            closeModal();
+        });
+    }
+
+    function deleteWorkspace(workspace) {
+        // Second Enter on the same workspace confirms
+        const confirmationId = `workspace:${workspace.id}`;
+        if (pendingConfirmation !== confirmationId) {
+            pendingConfirmation = confirmationId;
+            listHeader = `Press Enter again to delete "${workspace.name}"`;
+            renderPalette();
+            return;
+        }
+        pendingConfirmation = null;
+
+        chrome.runtime.sendMessage({ action: "delete-workspace", workspaceId: workspace.id }, (response) => {
+            if (!isOpen || !paletteItems) return;
+
+            showWorkspaces('delete', response && response.success
+                ? `✓ Deleted "${workspace.name}"`
+                : 'Could not delete the workspace');
+        });
+    }
+
+    function isNaturalQuery() {
+        return searchInput.value.trimStart().startsWith('?');
+    }
+
+    function runNaturalQuery() {
+        const query = searchInput.value.trim().slice(1).trim();
+        if (!query) return;
+
+        naturalQueryRan = searchInput.value;
+        renderSuggestions([], 'Thinking…');
+
+        chrome.runtime.sendMessage({
+            action: "natural-query",
+            query: query
+        }, (response) => {
+            // Ignore stale responses (user kept typing)
+            if (!isOpen || searchInput.value !== naturalQueryRan) return;
+
+            selectedIndex = 0;
+            listHeader = response && response.description ? response.description : null;
+            renderSuggestions((response && response.results) || []);
+        });
+    }
+
+    function searchClosedTabs(query) {
+        chrome.runtime.sendMessage({
+            action: "search-closed-tabs",
+            query: query
+        }, (response) => {
+            // Ignore stale responses (user kept typing)
+            if (!isOpen || searchInput.value.toLowerCase() !== query) return;
+
+            closedResults = (response && response.results) || [];
+            renderSuggestions(resultTabs);
+        });
+    }
+    
+    function excludeCurrentSite() {
+        const excludeButton = shadowRoot.querySelector('.exclude-site');
+        excludeButton.disabled = true;
+
+        chrome.runtime.sendMessage({
+            action: "exclude-site",
+            url: location.href
+        }, (response) => {
+            excludeButton.textContent = response && response.success
+                ? `✓ ${response.pattern} excluded`
+                : (response && response.error) || 'Could not exclude site';
+        });
+    }
+    
+    function scrollToSelected() {
+        const selectedElement = suggestionsList.querySelector('.selected');
+        if (selectedElement) {
+            selectedElement.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth', block: 'nearest' });
+        }
+    }
+
+    // Recent tabs overlay: quick-return pressed again moves down, quick-forward up, release switches
+    function stepHistoryOverlay({ direction, tabs, theme }) {
+        if (isOpen) return false;
+
+        if (!historyOverlay) {
+            // Quick tap (keys already released): the background switches directly
+            if (modifiersHeld === false || direction !== 'back' || tabs.length < 2) return false;
+            historyOverlay = { container: createHistoryOverlay(theme), tabs, index: 0, idleTimer: null };
+        }
+
+        moveHistorySelection(direction === 'back' ? 1 : -1);
+
+        clearTimeout(historyOverlay.idleTimer);
+        if (modifiersHeld === null) {
+            historyOverlay.idleTimer = setTimeout(commitHistoryOverlay, HISTORY_IDLE_COMMIT);
+        }
+        return true;
+    }
+
+    function createHistoryOverlay(theme) {
+        const container = document.createElement('div');
+        container.id = 'tabyst-history-root';
+        container.style.cssText = `
+            position: fixed !important;
+            inset: 0 !important;
+            z-index: 2147483647 !important;
+            pointer-events: none !important;
+        `;
+
+        const root = container.attachShadow({ mode: 'open' });
+        root.innerHTML = `
+            <style class="theme-tokens"></style>
+            <style>
+                * {
+                    box-sizing: border-box;
+                    margin: 0;
+                    padding: 0;
+                }
+                :host {
+                    all: initial;
+                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+                }
+                .history {
+                    position: fixed;
+                    top: 20vh;
+                    left: 50%;
+                    transform: translateX(-50%);
+                    width: 440px;
+                    max-width: calc(100vw - 32px);
+                    padding: 8px;
+                    background-color: var(--st-bg);
+                    border: 1px solid var(--st-border);
+                    border-radius: 12px;
+                    box-shadow: var(--st-shadow);
+                }
+                .history-title {
+                    padding: 4px 8px 8px;
+                    font-size: 12px;
+                    color: var(--st-text-light);
+                }
+                .history-item {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                    padding: 8px;
+                    border-radius: 8px;
+                    color: var(--st-text);
+                    font-size: 14px;
+                }
+                .history-item.selected {
+                    background-color: var(--st-accent);
+                    color: var(--st-on-accent);
+                }
+                .favicon {
+                    width: 16px;
+                    height: 16px;
+                    border-radius: 3px;
+                    flex-shrink: 0;
+                }
+                .history-text {
+                    flex-grow: 1;
+                    min-width: 0;
+                    white-space: nowrap;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                }
+                .history-domain {
+                    font-size: 12px;
+                    opacity: 0.7;
+                }
+            </style>
+            <div class="history" role="listbox" aria-label="Recent tabs">
+                <div class="history-title">Recent tabs · release to switch, Esc to cancel</div>
+                <div class="history-list"></div>
+            </div>
+        `;
+        root.querySelector('.theme-tokens').textContent = TabystTheme.buildCss(':host', theme || themePreferences || {});
+
+        document.documentElement.appendChild(container);
+        return container;
+    }
+
+    function moveHistorySelection(offset) {
+        const { tabs } = historyOverlay;
+        historyOverlay.index = (historyOverlay.index + offset + tabs.length) % tabs.length;
+
+        historyOverlay.container.shadowRoot.querySelector('.history-list').innerHTML = tabs.map((tab, index) => {
+            const domain = tab.url ? new URL(tab.url).hostname.replace('www.', '') : '';
+            return `
+                <div class="history-item ${index === historyOverlay.index ? 'selected' : ''}" role="option" aria-selected="${index === historyOverlay.index}">
+                    <img src="${escapeHtml(tab.favIconUrl || 'https://www.google.com/s2/favicons?sz=32&domain_url=example.com')}" class="favicon" alt="">
+                    <span class="history-text">${escapeHtml(tab.title || domain)} <span class="history-domain">${escapeHtml(domain)}${index === 0 ? ' · current' : tab.discarded ? ' · 💤' : ''}</span></span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    function handleHistoryKey(e) {
+        modifiersHeld = e.ctrlKey || e.metaKey || e.altKey || e.shiftKey;
+        if (!historyOverlay) return;
+
+        // Keys held: no idle switch
+        clearTimeout(historyOverlay.idleTimer);
+
+        if (e.type === 'keyup') {
+            if (!modifiersHeld) commitHistoryOverlay();
+            return;
+        }
+
+        if (e.key === 'Escape') {
+            closeHistoryOverlay();
+        } else if (e.key === 'Enter') {
+            commitHistoryOverlay();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowRight') {
+            moveHistorySelection(1);
+        } else if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') {
+            moveHistorySelection(-1);
+        } else {
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    function commitHistoryOverlay() {
+        if (!historyOverlay) return;
+
+        const { tabs, index } = historyOverlay;
+        closeHistoryOverlay();
+
+        // The first item is the current tab
+        if (index > 0) {
+            chrome.runtime.sendMessage({ action: "select-recent-tab", tabId: tabs[index].id });
+        }
+    }
+
+    function closeHistoryOverlay() {
+        if (!historyOverlay) return;
+        clearTimeout(historyOverlay.idleTimer);
+        historyOverlay.container.remove();
+        historyOverlay = null;
     }
 })();
\ No newline at end of file
@@ -0,0 +1,322 @@
+/**
+ * data-transfer.js
+ * Versioned JSON export / import of TabyDB and chrome.storage (tfidfIndex, config)
+ */
+
+import { db, DB_VERSION, STORE_NAMES } from './db.js';
+import { storage } from './storage.js';
+import { TFIDF } from './tfidf.js';
+import { filterExcludedTabs } from './exclusions.js';
+import { backfillTabRecord } from './migrations.js';
+import { scheduleClusterUpdate } from './clustering.js';
+
+const EXPORT_FORMAT = 'tabyst-export';
+const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * Export everything as a JSON-serializable object
+ */
+async function exportData() {
+  const stores = await db.exportStores();
+  const { tfidfIndex, config } = await storage.get(['tfidfIndex', 'config']);
+
+  return {
+    format: EXPORT_FORMAT,
+    formatVersion: EXPORT_FORMAT_VERSION,
+    schemaVersion: DB_VERSION,
+    extensionVersion: chrome.runtime.getManifest().version,
+    exportedAt: Date.now(),
+    stores,
+    storage: {
+      tfidfIndex: tfidfIndex || null,
+      config: config || null
+    }
+  };
+}
+
+/**
+ * Validate an export file (throws with a readable message)
+ */
+function validateExport(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Not a Tabyst export file');
+  }
+  if (data.format !== EXPORT_FORMAT) {
+    throw new Error('Not a Tabyst export file');
+  }
+  if (data.formatVersion > EXPORT_FORMAT_VERSION) {
+    throw new Error(`Export format v${data.formatVersion} is newer than supported (v${EXPORT_FORMAT_VERSION})`);
+  }
+  if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1) {
+    throw new Error('Missing database schema version');
+  }
+  if (data.schemaVersion > DB_VERSION) {
+    throw new Error(`Database schema v${data.schemaVersion} is newer than this version of Tabyst (v${DB_VERSION}), please update the extension first`);
+  }
+  if (!data.stores || typeof data.stores !== 'object') {
+    throw new Error('Missing database stores');
+  }
+
+  STORE_NAMES.forEach(storeName => {
+    if (data.stores[storeName] !== undefined && !Array.isArray(data.stores[storeName])) {
+      throw new Error(`Invalid store: ${storeName}`);
+    }
+  });
+}
+
+/**
+ * Generate a new record id (same shape as the rest of the code base)
+ */
+function generateId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Remap imported tab records
+ * Chrome tab ids from another profile are meaningless: records are unlinked (tabId null)
+ * and re-linked to open tabs by URL hash after the import.
+ * Returns records to write + map old record id → new record id
+ */
+function remapTabs(importedTabs, existingTabs, mode) {
+  const idMap = new Map();
+  const tabs = [];
+  const existingByHash = new Map(existingTabs.map(t => [t.urlHash, t]));
+
+  importedTabs.forEach(tab => {
+    const existing = mode === 'merge' ? existingByHash.get(tab.urlHash) : null;
+
+    if (existing) {
+      // Same URL already known: keep local record, take imported AI data if local has none
+      idMap.set(tab.id, existing.id);
+      if (!existing.flags?.isIndexed && tab.flags?.isIndexed) {
+        tabs.push({
+          ...existing,
+          content: tab.content,
+          metadata: { ...existing.metadata, type: tab.metadata?.type || 'other' },
+          flags: { ...existing.flags, isIndexed: true },
+          lastIndexedAt: tab.lastIndexedAt
+        });
+      }
+      return;
+    }
+
+    const newId = mode === 'merge' ? generateId('tab') : tab.id;
+    idMap.set(tab.id, newId);
+    tabs.push({
+      ...tab,
+      id: newId,
+      tabId: null,
+      // Clusters of the source profile don't exist here: recomputed after the import
+      clusterId: null,
+      flags: { ...tab.flags, isActive: false }
+    });
+  });
+
+  return { tabs, idMap };
+}
+
+/**
+ * Remap relationships onto new tab ids (drops relationships to unknown tabs)
+ */
+function remapRelationships(importedRelationships, existingRelationships, idMap, mode) {
+  const pairKey = (a, b) => [a, b].sort().join('|');
+  const existingPairs = new Set(existingRelationships.map(r => pairKey(r.tab1Id, r.tab2Id)));
+
+  return importedRelationships
+    .filter(rel => idMap.has(rel.tab1Id) && idMap.has(rel.tab2Id))
+    .map(rel => ({
+      ...rel,
+      id: mode === 'merge' ? generateId('rel') : rel.id,
+      tab1Id: idMap.get(rel.tab1Id),
+      tab2Id: idMap.get(rel.tab2Id)
+    }))
+    .filter(rel => rel.tab1Id !== rel.tab2Id && !existingPairs.has(pairKey(rel.tab1Id, rel.tab2Id)));
+}
+
+/**
+ * Remap navigation history onto new tab ids (drops navigations from/to unknown tabs)
+ */
+function remapNavigations(importedNavigations, existingNavigations, idMap, mode) {
+  const existingIds = new Set(existingNavigations.map(n => n.id));
+
+  return importedNavigations
+    .filter(nav => idMap.has(nav.fromTab?.tabId) && idMap.has(nav.toTab?.tabId))
+    .filter(nav => !(mode === 'merge' && existingIds.has(nav.id)))
+    .map(nav => ({
+      ...nav,
+      fromTab: { ...nav.fromTab, tabId: idMap.get(nav.fromTab.tabId) },
+      toTab: { ...nav.toTab, tabId: idMap.get(nav.toTab.tabId) }
+    }));
+}
+
+/**
+ * Workflows are URL based: only skip patterns already known
+ */
+function mergeWorkflows(importedWorkflows, existingWorkflows, mode) {
+  if (mode !== 'merge') return importedWorkflows;
+
+  const existingPatterns = new Set(existingWorkflows.map(w => w.pattern.join('->')));
+  return importedWorkflows
+    .filter(w => !existingPatterns.has(w.pattern.join('->')))
+    .map(w => ({ ...w, id: generateId('workflow') }));
+}
+
+/**
+ * Workspaces keep their URLs; record references follow the tab remap (null if dropped)
+ * Merging skips names already used locally
+ */
+function mergeWorkspaces(importedWorkspaces, existingWorkspaces, idMap, mode) {
+  const existingNames = new Set(existingWorkspaces.map(w => w.name.toLowerCase()));
+
+  return importedWorkspaces
+    .filter(w => !(mode === 'merge' && existingNames.has(w.name.toLowerCase())))
+    .map(w => ({
+      ...w,
+      id: mode === 'merge' ? generateId('ws') : w.id,
+      tabs: w.tabs.map(tab => ({ ...tab, recordId: idMap.get(tab.recordId) || null }))
+    }));
+}
+
+/**
+ * Re-link records to the tabs currently open (by URL hash)
+ */
+async function relinkOpenTabs() {
+  const [openTabs, records] = await Promise.all([
+    chrome.tabs.query({}),
+    db.getAllTabs()
+  ]);
+  const recordsByHash = new Map(records.map(r => [r.urlHash, r]));
+  const tabIdByUrl = new Map(); // URL → open Chrome tab id
+  let linked = 0;
+
+  for (const tab of openTabs) {
+    if (!tab.url) continue;
+
+    const record = recordsByHash.get(await db.generateUrlHash(tab.url));
+    if (!record) continue;
+
+    if (record.tabId !== tab.id || !record.flags?.isActive) {
+      await db.updateTab(record.id, {
+        tabId: tab.id,
+        flags: { ...record.flags, isActive: true }
+      });
+      linked++;
+    }
+    tabIdByUrl.set(record.url, tab.id);
+  }
+
+  return { linked, tabIdByUrl };
+}
+
+/**
+ * Remap TF-IDF documents (keyed by Chrome tab id) onto the tabs open now
+ */
+function remapTFIDFIndex(indexData, importedTabs, tabIdByUrl) {
+  const tfidf = TFIDF.deserialize(indexData);
+  const urlByOldTabId = new Map(importedTabs.map(t => [t.tabId, t.url]));
+
+  const remapped = new TFIDF();
+  tfidf.documents.forEach(doc => {
+    const url = doc.metadata?.url || urlByOldTabId.get(doc.id);
+    const newTabId = tabIdByUrl.get(url);
+    if (newTabId !== undefined) {
+      remapped.addDocument(doc.text, newTabId, doc.metadata);
+    }
+  });
+
+  return remapped;
+}
+
+/**
+ * Import an export file
+ * mode = 'merge' (keep local data, add imported) | 'replace' (wipe local data first)
+ */
+async function importData(data, mode = 'merge') {
+  validateExport(data);
+
+  if (mode !== 'merge' && mode !== 'replace') {
+    throw new Error(`Unknown import mode: ${mode}`);
+  }
+
+  // chrome.storage config first: exclusions and privacy mode apply to imported records
+  const importedConfig = data.storage?.config;
+  if (importedConfig) {
+    const { config } = await storage.get('config');
+    if (mode === 'replace') {
+      await storage.set({ config: { ...importedConfig, version: config?.version } });
+    } else {
+      const excludedDomains = [...new Set([...(config?.excludedDomains || []), ...(importedConfig.excludedDomains || [])])];
+      await storage.updateConfig({ excludedDomains });
+    }
+  }
+
+  const privacyMode = await storage.isPrivacyModeEnabled();
+
+  const imported = {
+    // Older schema versions: same defaults as the IndexedDB migrations
+    tabs_index: (await filterExcludedTabs(data.stores.tabs_index || [])).map(backfillTabRecord),
+    navigation_history: data.stores.navigation_history || [],
+    tab_relationships: data.stores.tab_relationships || [],
+    workflows: data.stores.workflows || [],
+    workspaces: data.stores.workspaces || []
+  };
+
+  const existing = mode === 'merge'
+    ? await db.exportStores()
+    : { tabs_index: [], navigation_history: [], tab_relationships: [], workflows: [], workspaces: [] };
+
+  const { tabs, idMap } = remapTabs(imported.tabs_index, existing.tabs_index, mode);
+
+  const stores = {
+    tabs_index: tabs,
+    tab_relationships: remapRelationships(imported.tab_relationships, existing.tab_relationships, idMap, mode),
+    navigation_history: remapNavigations(imported.navigation_history, existing.navigation_history, idMap, mode),
+    workflows: mergeWorkflows(imported.workflows, existing.workflows, mode),
+    workspaces: mergeWorkspaces(imported.workspaces, existing.workspaces, idMap, mode)
+  };
+
+  await db.importStores(stores, { clear: mode === 'replace' });
+  const { linked, tabIdByUrl } = await relinkOpenTabs();
+
+  if (privacyMode) {
+    // Imported page text must not survive in privacy mode
+    await db.scrubStoredContent();
+  } else if (data.storage?.tfidfIndex) {
+    // TF-IDF documents of open tabs: local ones win when merging, imported ones when replacing
+    const importedIndex = remapTFIDFIndex(data.storage.tfidfIndex, imported.tabs_index, tabIdByUrl);
+    const currentIndexData = await storage.getTFIDFIndex();
+    const tfidf = currentIndexData ? TFIDF.deserialize(currentIndexData) : new TFIDF();
+
+    importedIndex.documents.forEach(doc => {
+      const known = tfidf.documents.some(d => d.id === doc.id);
+      if (known && mode === 'merge') return;
+
+      tfidf.removeDocument(doc.id);
+      tfidf.addDocument(doc.text, doc.id, doc.metadata);
+    });
+
+    await storage.saveTFIDFIndex(tfidf.serialize());
+  }
+
+  await storage.clearSuggestionsCache();
+  scheduleClusterUpdate();
+
+  const summary = {
+    mode,
+    tabs: stores.tabs_index.length,
+    relationships: stores.tab_relationships.length,
+    navigations: stores.navigation_history.length,
+    workflows: stores.workflows.length,
+    workspaces: stores.workspaces.length,
+    linkedToOpenTabs: linked
+  };
+
+  console.log('📥 Import completed:', summary);
+  return summary;
+}
+
+export {
+  exportData,
+  importData,
+  validateExport
+};
@@ -4,8 +4,14 @@
  * Manages all database operations for Taby
  */
 
+import { isUrlExcluded } from './exclusions.js';
+import { DB_VERSION, runMigrations, backfillTabRecord } from './migrations.js';
+
 const DB_NAME = 'TabyDB';
-const DB_VERSION = 1;
+// Every store (export/import)
+const STORE_NAMES = ['tabs_index', 'navigation_history', 'tab_relationships', 'workflows', 'clusters', 'workspaces'];
+// What Tabyst learned (clearAll): workspaces are created by the user and kept
+const LEARNED_STORE_NAMES = ['tabs_index', 'navigation_history', 'tab_relationships', 'workflows', 'clusters'];
 
 class TabyDatabase {
   constructor() {
@@ -32,62 +38,9 @@ class TabyDatabase {
 
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
-        console.log('TabyDB: Création/mise Ã  jour du schéma...');
-
-        // ==========================================
-        // TABLE 1: tabs_index
-        // ==========================================
-        if (!db.objectStoreNames.contains('tabs_index')) {
-          const tabsStore = db.createObjectStore('tabs_index', { keyPath: 'id' });
-          
-          // Indexes for fast queries
-          tabsStore.createIndex('tabId', 'tabId', { unique: false });
-          tabsStore.createIndex('urlHash', 'urlHash', { unique: false });
-          tabsStore.createIndex('domain', 'domain', { unique: false });
-          tabsStore.createIndex('lastAccessedAt', 'lastAccessedAt', { unique: false });
-          tabsStore.createIndex('isActive', 'flags.isActive', { unique: false });
-          tabsStore.createIndex('isIndexed', 'flags.isIndexed', { unique: false });
-          
-          console.log('âœ… Table tabs_index créée');
-        }
-
-        // ==========================================
-        // TABLE 2: navigation_history
-        // ==========================================
-        if (!db.objectStoreNames.contains('navigation_history')) {
-          const navStore = db.createObjectStore('navigation_history', { keyPath: 'id' });
-          
-          navStore.createIndex('timestamp', 'timestamp', { unique: false });
-          navStore.createIndex('fromTabId', 'fromTab.tabId', { unique: false });
-          navStore.createIndex('toTabId', 'toTab.tabId', { unique: false });
-          
-          console.log('âœ… Table navigation_history créée');
-        }
-
-        // ==========================================
-        // TABLE 3: tab_relationships
-        // ==========================================
-        if (!db.objectStoreNames.contains('tab_relationships')) {
-          const relStore = db.createObjectStore('tab_relationships', { keyPath: 'id' });
-          
-          relStore.createIndex('tab1', 'tab1', { unique: false });
-          relStore.createIndex('tab2', 'tab2', { unique: false });
-          relStore.createIndex('overallScore', 'overallScore', { unique: false });
-          
-          console.log('âœ… Table tab_relationships créée');
-        }
+        console.log(`TabyDB: Migration du schéma v${event.oldVersion} → v${event.newVersion}...`);
 
-        // ==========================================
-        // TABLE 4: workflows
-        // ==========================================
-        if (!db.objectStoreNames.contains('workflows')) {
-          const workflowStore = db.createObjectStore('workflows', { keyPath: 'id' });
-          
-          workflowStore.createIndex('frequency', 'frequency', { unique: false });
-          workflowStore.createIndex('lastOccurrence', 'lastOccurrence', { unique: false });
-          
-          console.log('âœ… Table workflows créée');
-        }
+        runMigrations(db, event.target.transaction, event.oldVersion, event.newVersion);
       };
     });
   }
@@ -117,7 +70,7 @@ class TabyDatabase {
       // Génère le hash URL
       tabData.urlHash = await this.generateUrlHash(tabData.url);
       
-      const request = store.add(tabData);
+      const request = store.add(backfillTabRecord(tabData));
       
       request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
@@ -174,10 +127,24 @@ class TabyDatabase {
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(['tabs_index'], 'readonly');
       const store = transaction.objectStore('tabs_index');
-      const index = store.index('isActive');
-      const request = index.getAll(true);
+      // Booleans are not valid IndexedDB keys: the isActive index can't be queried
+      const request = store.getAll();
       
-      request.onsuccess = () => resolve(request.result);
+      request.onsuccess = () => resolve(request.result.filter(tab => tab.flags?.isActive));
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Archived tabs (closed, record kept with its AI content), most recent first
+   */
+  async getArchivedTabs() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['tabs_index'], 'readonly');
+      const index = transaction.objectStore('tabs_index').index('archivedAt');
+      const request = index.getAll();
+      
+      request.onsuccess = () => resolve(request.result.reverse());
       request.onerror = () => reject(request.error);
     });
   }
@@ -240,14 +207,61 @@ class TabyDatabase {
     });
   }
 
+  /**
+   * Scrub extracted text (rawText + summary) from all tabs in a single transaction
+   */
+  async scrubStoredContent() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['tabs_index'], 'readwrite');
+      const store = transaction.objectStore('tabs_index');
+      const request = store.openCursor();
+      let scrubbed = 0;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+
+        const tab = cursor.value;
+        if (tab.content?.rawText || tab.content?.summary) {
+          cursor.update({
+            ...tab,
+            content: {
+              ...tab.content,
+              rawText: null,
+              summary: null
+            }
+          });
+          scrubbed++;
+        }
+        cursor.continue();
+      };
+
+      transaction.oncomplete = () => {
+        console.log(`🔒 TabyDB: Content scrubbed from ${scrubbed} tabs`);
+        resolve(scrubbed);
+      };
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
   // ==========================================
   // OPERATIONS: navigation_history
   // ==========================================
 
   /**
-   * Record une navigation
+   * Record une navigation (ignored if either URL is excluded)
    */
   async addNavigation(navData) {
+    const [fromExcluded, toExcluded] = await Promise.all([
+      isUrlExcluded(navData.fromTab?.url),
+      isUrlExcluded(navData.toTab?.url)
+    ]);
+
+    if (fromExcluded || toExcluded) {
+      console.log('🚫 TabyDB: Navigation not recorded (excluded URL)');
+      return null;
+    }
+
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(['navigation_history'], 'readwrite');
       const store = transaction.objectStore('navigation_history');
@@ -294,6 +308,59 @@ class TabyDatabase {
     });
   }
 
+  /**
+   * Delete all navigations from or to a tab
+   */
+  async deleteNavigationsForTab(tabId) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['navigation_history'], 'readwrite');
+      const store = transaction.objectStore('navigation_history');
+
+      ['fromTabId', 'toTabId'].forEach(indexName => {
+        const request = store.index(indexName).getAllKeys(tabId);
+        request.onsuccess = () => {
+          request.result.forEach(key => store.delete(key));
+        };
+      });
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Move navigations from or to a tab record onto another record (duplicate merge)
+   * Navigations between the two records become self-loops and are deleted
+   */
+  async reassignNavigations(fromId, toId, toUrl) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['navigation_history'], 'readwrite');
+      const store = transaction.objectStore('navigation_history');
+
+      const request = store.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+
+        const nav = cursor.value;
+        if (nav.fromTab?.tabId === fromId || nav.toTab?.tabId === fromId) {
+          const fromTab = nav.fromTab?.tabId === fromId ? { tabId: toId, url: toUrl } : nav.fromTab;
+          const toTab = nav.toTab?.tabId === fromId ? { tabId: toId, url: toUrl } : nav.toTab;
+
+          if (fromTab.tabId === toTab.tabId) {
+            cursor.delete();
+          } else {
+            cursor.update({ ...nav, fromTab, toTab });
+          }
+        }
+        cursor.continue();
+      };
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
   // ==========================================
   // OPERATIONS: tab_relationships
   // ==========================================
@@ -326,6 +393,29 @@ class TabyDatabase {
     });
   }
 
+  /**
+   * Récupère la relationship entre deux tabs (dans un sens ou l'autre)
+   */
+  async getRelationshipBetween(tab1Id, tab2Id) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['tab_relationships'], 'readonly');
+      const index = transaction.objectStore('tab_relationships').index('tabPair');
+      const request = index.get([tab1Id, tab2Id]);
+
+      request.onsuccess = () => {
+        if (request.result) {
+          resolve(request.result);
+          return;
+        }
+
+        const reverseRequest = index.get([tab2Id, tab1Id]);
+        reverseRequest.onsuccess = () => resolve(reverseRequest.result);
+        reverseRequest.onerror = () => reject(reverseRequest.error);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   /**
    * Récupère all relationships for un tab
    */
@@ -334,13 +424,13 @@ class TabyDatabase {
       const transaction = this.db.transaction(['tab_relationships'], 'readonly');
       const store = transaction.objectStore('tab_relationships');
       
-      const index1 = store.index('tab1');
+      const index1 = store.index('tab1Id');
       const request1 = index1.getAll(tabId);
       
       request1.onsuccess = () => {
         const results1 = request1.result;
         
-        const index2 = store.index('tab2');
+        const index2 = store.index('tab2Id');
         const request2 = index2.getAll(tabId);
         
         request2.onsuccess = () => {
@@ -473,24 +563,174 @@ class TabyDatabase {
     });
   }
 
+  // ==========================================
+  // OPERATIONS: clusters
+  // ==========================================
+
+  /**
+   * Récupère all clusters
+   */
+  async getAllClusters() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['clusters'], 'readonly');
+      const store = transaction.objectStore('clusters');
+      const request = store.getAll();
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Replace all clusters and set clusterId on tab records (single transaction)
+   * Records missing from every cluster (closed tabs) get clusterId null
+   */
+  async saveClusters(clusters) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['clusters', 'tabs_index'], 'readwrite');
+      const clusterStore = transaction.objectStore('clusters');
+
+      clusterStore.clear();
+      clusters.forEach(cluster => clusterStore.put(cluster));
+
+      const assignments = new Map();
+      clusters.forEach(cluster => cluster.tabIds.forEach(id => assignments.set(id, cluster.id)));
+
+      const request = transaction.objectStore('tabs_index').openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+
+        const clusterId = assignments.get(cursor.value.id) ?? null;
+        if (cursor.value.clusterId !== clusterId) {
+          cursor.update({ ...cursor.value, clusterId });
+        }
+        cursor.continue();
+      };
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // ==========================================
+  // OPERATIONS: workspaces
+  // ==========================================
+
+  /**
+   * Récupère all workspaces
+   */
+  async getAllWorkspaces() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['workspaces'], 'readonly');
+      const store = transaction.objectStore('workspaces');
+      const request = store.getAll();
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Récupère un workspace par ID
+   */
+  async getWorkspace(id) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['workspaces'], 'readonly');
+      const store = transaction.objectStore('workspaces');
+      const request = store.get(id);
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Workspace by name (case-insensitive)
+   */
+  async getWorkspaceByName(name) {
+    const workspaces = await this.getAllWorkspaces();
+    return workspaces.find(w => w.name.toLowerCase() === name.toLowerCase()) || null;
+  }
+
+  /**
+   * Add or replace un workspace
+   */
+  async saveWorkspace(workspace) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['workspaces'], 'readwrite');
+      const store = transaction.objectStore('workspaces');
+      const request = store.put(workspace);
+      
+      request.onsuccess = () => resolve(workspace);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Delete un workspace
+   */
+  async deleteWorkspace(id) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['workspaces'], 'readwrite');
+      const store = transaction.objectStore('workspaces');
+      const request = store.delete(id);
+      
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   // ==========================================
   // UTILITY
   // ==========================================
 
   /**
-   * Clear all tables (for debug/reset)
+   * Read every record of every store (single transaction)
+   */
+  async exportStores() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(STORE_NAMES, 'readonly');
+      const stores = {};
+
+      STORE_NAMES.forEach(storeName => {
+        const request = transaction.objectStore(storeName).getAll();
+        request.onsuccess = () => {
+          stores[storeName] = request.result;
+        };
+      });
+
+      transaction.oncomplete = () => resolve(stores);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Write records into stores (single transaction, optionally clearing them first)
+   */
+  async importStores(stores, { clear = false } = {}) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(STORE_NAMES, 'readwrite');
+
+      STORE_NAMES.forEach(storeName => {
+        const store = transaction.objectStore(storeName);
+        if (clear) store.clear();
+        (stores[storeName] || []).forEach(record => store.put(record));
+      });
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Clear the learned data tables (for debug/reset); saved workspaces are kept
    */
   async clearAll() {
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(
-        ['tabs_index', 'navigation_history', 'tab_relationships', 'workflows'],
-        'readwrite'
-      );
+      const transaction = this.db.transaction(LEARNED_STORE_NAMES, 'readwrite');
       
-      transaction.objectStore('tabs_index').clear();
-      transaction.objectStore('navigation_history').clear();
-      transaction.objectStore('tab_relationships').clear();
-      transaction.objectStore('workflows').clear();
+      LEARNED_STORE_NAMES.forEach(storeName => transaction.objectStore(storeName).clear());
       
       transaction.oncomplete = () => {
         console.log('âœ… TabyDB: Toutes les tables vidées');
@@ -537,4 +777,4 @@ class TabyDatabase {
 const db = new TabyDatabase();
 
 // Export for utilisation in d'autres scripts
-export { db, TabyDatabase };
\ No newline at end of file
+export { db, TabyDatabase, DB_VERSION, STORE_NAMES };
\ No newline at end of file
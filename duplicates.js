@@ -0,0 +1,238 @@
+/**
+ * duplicates.js
+ * Duplicate open tabs: exact (same urlHash) or near (same page with another query/fragment,
+ * or near-identical content on the same domain)
+ * Closing keeps the most recently accessed tab and merges the history of the others into its record
+ */
+
+import { db } from './db.js';
+import { storage } from './storage.js';
+import { TFIDF } from './tfidf.js';
+import { isAccessibleUrl } from './lite-mode.js';
+import { filterExcludedTabs } from './exclusions.js';
+import { scheduleClusterUpdate } from './clustering.js';
+
+const CONTENT_SIMILARITY_THRESHOLD = 0.9;
+
+const REASONS = {
+  exact: 'Same URL',
+  url: 'Same page, different query or fragment',
+  content: 'Near-identical content'
+};
+
+/**
+ * URL without query, fragment and trailing slash ("same page")
+ */
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}`;
+  } catch {
+    return url;
+  }
+}
+
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.replace('www.', '');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Unpinned web tabs with their url hash and tabs_index record
+ */
+async function getCandidates() {
+  const tabs = (await chrome.tabs.query({})).filter(tab => !tab.pinned && isAccessibleUrl(tab.url));
+  const records = new Map((await db.getActiveTabs()).map(record => [record.tabId, record]));
+
+  return Promise.all((await filterExcludedTabs(tabs)).map(async tab => ({
+    tab,
+    urlHash: await db.generateUrlHash(tab.url),
+    record: records.get(tab.id) || null
+  })));
+}
+
+/**
+ * Chrome's lastAccessed, else the record's (older Chrome versions)
+ */
+function getLastAccessed({ tab, record }) {
+  return tab.lastAccessed || record?.lastAccessedAt || 0;
+}
+
+/**
+ * Duplicate groups of open tabs, the tab to keep first
+ * { groups: [{ key, kind, reason, survivorId, tabs }], duplicateCount }
+ */
+async function findDuplicates() {
+  const candidates = await getCandidates();
+  const indexData = await storage.getTFIDFIndex();
+  const tfidf = indexData ? TFIDF.deserialize(indexData) : null;
+
+  // Union-find: every matching pair joins the same group
+  const parents = candidates.map((_, i) => i);
+  const reasons = candidates.map(() => null);
+  const find = i => (parents[i] === i ? i : (parents[i] = find(parents[i])));
+
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const a = candidates[i];
+      const b = candidates[j];
+
+      let reason = null;
+      if (a.urlHash === b.urlHash) {
+        reason = 'exact';
+      } else if (normalizeUrl(a.tab.url) === normalizeUrl(b.tab.url)) {
+        reason = 'url';
+      } else if (tfidf && getDomain(a.tab.url) === getDomain(b.tab.url) &&
+          tfidf.cosineSimilarity(a.tab.id, b.tab.id) >= CONTENT_SIMILARITY_THRESHOLD) {
+        reason = 'content';
+      }
+
+      if (!reason) continue;
+
+      const rootA = find(i);
+      const rootB = find(j);
+      parents[rootB] = rootA;
+      // A group is exact only if every link is
+      const previous = [reasons[rootA], reasons[rootB]].filter(Boolean);
+      reasons[rootA] = [reason, ...previous].find(r => r !== 'exact') || 'exact';
+    }
+  }
+
+  const members = new Map();
+  candidates.forEach((candidate, i) => {
+    const root = find(i);
+    if (!members.has(root)) members.set(root, []);
+    members.get(root).push(candidate);
+  });
+
+  const groups = [...members.entries()]
+    .filter(([, group]) => group.length > 1)
+    .map(([root, group]) => {
+      const sorted = [...group].sort((a, b) => getLastAccessed(b) - getLastAccessed(a));
+      const kind = reasons[root] === 'exact' ? 'exact' : 'near';
+      return {
+        key: group.map(({ tab }) => tab.id).sort((a, b) => a - b).join('-'),
+        kind,
+        reason: REASONS[reasons[root]],
+        survivorId: sorted[0].tab.id,
+        tabs: sorted.map(({ tab }) => ({
+          id: tab.id,
+          title: tab.title,
+          url: tab.url,
+          favIconUrl: tab.favIconUrl,
+          windowId: tab.windowId,
+          lastAccessed: tab.lastAccessed || null
+        }))
+      };
+    })
+    .sort((a, b) => b.tabs.length - a.tabs.length);
+
+  return {
+    groups,
+    duplicateCount: groups.reduce((sum, group) => sum + group.tabs.length - 1, 0)
+  };
+}
+
+/**
+ * Move the navigations and relationships of a record onto another one, then delete it
+ * Returns the updated target record
+ */
+async function mergeRecords(source, target) {
+  await db.reassignNavigations(source.id, target.id, target.url);
+
+  for (const rel of await db.getRelationshipsForTab(source.id)) {
+    const otherId = rel.tab1Id === source.id ? rel.tab2Id : rel.tab1Id;
+    await db.deleteRelationship(rel.id);
+
+    // The two duplicates were related to each other
+    if (otherId === target.id) continue;
+
+    const existing = await db.getRelationshipBetween(target.id, otherId);
+    if (existing) {
+      await db.upsertRelationship({
+        ...existing,
+        strength: Math.max(existing.strength, rel.strength),
+        accessCount: (existing.accessCount || 0) + (rel.accessCount || 0),
+        lastAccessedAt: Math.max(existing.lastAccessedAt || 0, rel.lastAccessedAt || 0)
+      });
+    } else {
+      await db.upsertRelationship({
+        ...rel,
+        tab1Id: rel.tab1Id === source.id ? target.id : rel.tab1Id,
+        tab2Id: rel.tab2Id === source.id ? target.id : rel.tab2Id
+      });
+    }
+  }
+
+  const merged = await db.updateTab(target.id, {
+    accessCount: (target.accessCount || 0) + (source.accessCount || 0),
+    lastAccessedAt: Math.max(target.lastAccessedAt || 0, source.lastAccessedAt || 0),
+    tags: [...new Set([...(target.tags || []), ...(source.tags || [])])]
+  });
+
+  await db.deleteTab(source.id);
+  return merged;
+}
+
+/**
+ * Close the duplicates of the given groups (all groups if none), keeping the most recently accessed tab
+ * Groups are recomputed so tabs that changed since the listing are left alone
+ */
+async function closeDuplicates(keys = null) {
+  const { groups } = await findDuplicates();
+  const selected = keys ? groups.filter(group => keys.includes(group.key)) : groups;
+
+  const closedTabIds = [];
+
+  for (const group of selected) {
+    const [survivor, ...duplicates] = group.tabs;
+    let target = await db.getTabByTabId(survivor.id);
+
+    for (const duplicate of duplicates) {
+      const source = await db.getTabByTabId(duplicate.id);
+
+      if (source && !target) {
+        // Survivor not indexed yet: its duplicate's record becomes its own
+        target = await db.updateTab(source.id, {
+          tabId: survivor.id,
+          url: survivor.url,
+          urlHash: await db.generateUrlHash(survivor.url)
+        });
+      } else if (source && source.id !== target.id) {
+        target = await mergeRecords(source, target);
+      } else if (source) {
+        // Exact duplicates share one record: keep it on the survivor
+        await db.updateTab(source.id, { tabId: survivor.id });
+      }
+
+      closedTabIds.push(duplicate.id);
+    }
+  }
+
+  if (closedTabIds.length === 0) {
+    return { closedCount: 0, groupCount: 0 };
+  }
+
+  // Closed tabs leave the TF-IDF index (documents are keyed by Chrome tab id)
+  const indexData = await storage.getTFIDFIndex();
+  if (indexData) {
+    const tfidf = TFIDF.deserialize(indexData);
+    closedTabIds.forEach(tabId => tfidf.removeDocument(tabId));
+    await storage.saveTFIDFIndex(tfidf.serialize());
+  }
+
+  await chrome.tabs.remove(closedTabIds);
+  await storage.clearSuggestionsCache();
+  scheduleClusterUpdate();
+
+  console.log(`🧹 Closed ${closedTabIds.length} duplicate tabs (${selected.length} groups)`);
+  return { closedCount: closedTabIds.length, groupCount: selected.length };
+}
+
+export {
+  findDuplicates,
+  closeDuplicates
+};
@@ -0,0 +1,176 @@
+/**
+ * exclusions.js
+ * Domain and URL-pattern exclusion list (config.excludedDomains)
+ *
+ * Supported patterns:
+ *   - "bank.com"              → bank.com and all its subdomains
+ *   - "*.internal.acme.com"   → glob on the hostname
+ *   - "acme.com/admin/*"      → glob on hostname + path
+ *   - "https://hr.acme.com/*" → glob on the full URL
+ *   - "/^https?:\/\/10\./i"   → regular expression on the full URL
+ */
+
+import { storage } from './storage.js';
+
+/**
+ * Check if a pattern is written as a regex ("/.../flags")
+ */
+function isRegexPattern(pattern) {
+  return /^\/.+\/[a-z]*$/i.test(pattern);
+}
+
+/**
+ * Convert a glob (only * is special) to a RegExp
+ */
+function globToRegex(glob) {
+  const escaped = glob
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Compile a pattern into { regex, target } (target = part of the URL to test)
+ */
+function compilePattern(pattern) {
+  const trimmed = pattern.trim();
+
+  if (isRegexPattern(trimmed)) {
+    const lastSlash = trimmed.lastIndexOf('/');
+    return {
+      regex: new RegExp(trimmed.slice(1, lastSlash), trimmed.slice(lastSlash + 1)),
+      target: 'url'
+    };
+  }
+
+  if (/^[a-z-]+:\/\//i.test(trimmed)) {
+    return { regex: globToRegex(trimmed), target: 'url' };
+  }
+
+  if (trimmed.includes('/')) {
+    return { regex: globToRegex(trimmed), target: 'hostAndPath' };
+  }
+
+  if (trimmed.includes('*')) {
+    return { regex: globToRegex(trimmed), target: 'host' };
+  }
+
+  // Bare domain: the domain itself and any subdomain
+  return { target: 'domain', domain: trimmed.toLowerCase() };
+}
+
+/**
+ * Check if a pattern is valid
+ */
+function isValidPattern(pattern) {
+  if (typeof pattern !== 'string' || pattern.trim().length === 0) return false;
+
+  try {
+    compilePattern(pattern);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Test a URL against a single pattern
+ */
+function matchesPattern(url, pattern) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+
+  try {
+    const compiled = compilePattern(pattern);
+    const host = parsed.hostname.toLowerCase();
+
+    switch (compiled.target) {
+      case 'url':
+        return compiled.regex.test(url);
+      case 'hostAndPath':
+        return compiled.regex.test(`${host}${parsed.pathname}`);
+      case 'host':
+        return compiled.regex.test(host);
+      case 'domain':
+        return host === compiled.domain || host.endsWith(`.${compiled.domain}`);
+      default:
+        return false;
+    }
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the exclusion list
+ */
+async function getExclusionPatterns() {
+  const { config } = await storage.get('config');
+  return config?.excludedDomains || [];
+}
+
+/**
+ * Check if a URL is excluded from indexing
+ */
+async function isUrlExcluded(url) {
+  if (!url) return false;
+
+  try {
+    const patterns = await getExclusionPatterns();
+    return patterns.some(pattern => matchesPattern(url, pattern));
+  } catch (error) {
+    console.error('Error checking exclusions:', error);
+    return false;
+  }
+}
+
+/**
+ * Keep only tabs that are not excluded
+ */
+async function filterExcludedTabs(tabs) {
+  const patterns = await getExclusionPatterns();
+  return tabs.filter(tab => !patterns.some(pattern => matchesPattern(tab.url, pattern)));
+}
+
+/**
+ * Add a pattern to the exclusion list
+ */
+async function addExclusion(pattern) {
+  if (!isValidPattern(pattern)) {
+    throw new Error(`Invalid exclusion pattern: ${pattern}`);
+  }
+
+  const patterns = await getExclusionPatterns();
+  const trimmed = pattern.trim();
+
+  if (!patterns.includes(trimmed)) {
+    await storage.updateConfig({ excludedDomains: [...patterns, trimmed] });
+    console.log(`🚫 Exclusion added: ${trimmed}`);
+  }
+
+  return getExclusionPatterns();
+}
+
+/**
+ * Remove a pattern from the exclusion list
+ */
+async function removeExclusion(pattern) {
+  const patterns = await getExclusionPatterns();
+  await storage.updateConfig({ excludedDomains: patterns.filter(p => p !== pattern) });
+  return getExclusionPatterns();
+}
+
+export {
+  isUrlExcluded,
+  filterExcludedTabs,
+  matchesPattern,
+  isValidPattern,
+  getExclusionPatterns,
+  addExclusion,
+  removeExclusion
+};
@@ -36,7 +36,12 @@ class FuzzySearch {
       const url = tab.url || '';
       const domain = this.extractDomain(url);
       
-      return `${title} ${domain} ${url}`.toLowerCase();
+      // Contenu AI (tabs_index) si disponible
+      const content = tab.content || {};
+      const list = value => (Array.isArray(value) ? value.join(' ') : '');
+      const contentTerms = `${content.summary || ''} ${list(content.keywords)} ${list(content.entities)} ${list(content.topics)}`;
+      
+      return `${title} ${domain} ${url} ${contentTerms}`.toLowerCase();
     }
   
     /**
@@ -124,6 +129,13 @@ class FuzzySearch {
         });
       });
       
+      // 3b. Mots trouvés dans le contenu AI (résumé, keywords, entités, topics)
+      queryWords.forEach(qWord => {
+        if (qWord.length > 2 && !tab.title.includes(qWord) && tab.searchTerms.includes(qWord)) {
+          score += 0.2;
+        }
+      });
+      
       // 4. Similarité floue (Levenshtein)
       const titleSimilarity = this.stringSimilarity(q, tab.title);
       if (titleSimilarity > 0.6) {
@@ -194,6 +206,37 @@ class FuzzySearch {
       return highlighted;
     }
   
+    /**
+     * Positions des mots de la query dans le texte : [[start, end], ...] triés et fusionnés
+     * (le rendu échappe le texte lui-même, pas de HTML ici)
+     */
+    findMatchRanges(text, query) {
+      if (!text || !query || query.trim().length === 0) return [];
+      
+      const lowerText = text.toLowerCase();
+      const ranges = [];
+      
+      query.toLowerCase().split(/\s+/).filter(word => word.length > 0).forEach(word => {
+        let index = lowerText.indexOf(word);
+        while (index !== -1) {
+          ranges.push([index, index + word.length]);
+          index = lowerText.indexOf(word, index + word.length);
+        }
+      });
+      
+      return ranges
+        .sort((a, b) => a[0] - b[0])
+        .reduce((merged, range) => {
+          const last = merged[merged.length - 1];
+          if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+          } else {
+            merged.push([...range]);
+          }
+          return merged;
+        }, []);
+    }
+  
     escapeRegex(str) {
       return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     }
@@ -210,12 +253,15 @@ class FuzzySearch {
       words.forEach(word => {
         let bestMatch = null;
         let bestSimilarity = 0;
+        let exactMatch = false;
         
         allTitles.forEach(title => {
           const titleWords = title.split(/\s+/);
           
           titleWords.forEach(tWord => {
             if (tWord.length < 3) return;
+            // Mot déjà présent dans un titre → pas une typo
+            if (tWord === word) exactMatch = true;
             
             const similarity = this.stringSimilarity(word, tWord);
             
@@ -227,7 +273,7 @@ class FuzzySearch {
           });
         });
         
-        if (bestMatch) {
+        if (bestMatch && !exactMatch) {
           suggestions.push({ original: word, suggestion: bestMatch, similarity: bestSimilarity });
         }
       });
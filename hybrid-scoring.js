@@ -3,46 +3,47 @@
  * Hybrid scoring system combining TF-IDF, AI and behavior
  */
 
-import { storage } from './storage.js';
+import { storage, DEFAULT_SCORING_WEIGHTS } from './storage.js';
 import { db } from './db.js';
 import { TFIDF } from './tfidf.js';
 import { getRelatedTabs } from './relationships.js';
 
 /**
  * Calculate hybrid score for a candidate tab
+ * Weights come from config.scoringWeights.hybrid (defaults: 18/12/28/22/10/10%)
  */
-async function calculateHybridScore(currentTab, candidateTab, tfidf) {
+async function calculateHybridScore(currentTab, candidateTab, tfidf, weights = DEFAULT_SCORING_WEIGHTS.hybrid) {
   let score = 0;
   const scores = {}; // For debug
 
-  // 1. TF-IDF enriched with AI (18%)
+  // 1. TF-IDF enriched with AI
   const tfidfScore = await calculateTFIDFScore(currentTab, candidateTab, tfidf);
-  score += tfidfScore * 0.18;
+  score += tfidfScore * weights.tfidf;
   scores.tfidf = tfidfScore;
 
-  // 2. Cosine similarity (12%)
+  // 2. Cosine similarity
   const cosineSim = await calculateCosineSimilarity(currentTab.id, candidateTab.id, tfidf);
-  score += cosineSim * 0.12;
+  score += cosineSim * weights.cosine;
   scores.cosine = cosineSim;
 
-  // 3. Common AI entities (28%)
+  // 3. Common AI entities
   const entityScore = await calculateEntityOverlap(currentTab.id, candidateTab.id);
-  score += entityScore * 0.28;
+  score += entityScore * weights.entities;
   scores.entities = entityScore;
 
-  // 4. Common AI topics (22%)
+  // 4. Common AI topics
   const topicScore = await calculateTopicOverlap(currentTab.id, candidateTab.id);
-  score += topicScore * 0.22;
+  score += topicScore * weights.topics;
   scores.topics = topicScore;
 
-  // 5. AI relationships (10%)
+  // 5. AI relationships
   const relationshipScore = await calculateRelationshipScore(currentTab.id, candidateTab.id);
-  score += relationshipScore * 0.10;
+  score += relationshipScore * weights.relationship;
   scores.relationship = relationshipScore;
 
-  // 6. Behavioral (10%)
+  // 6. Behavioral
   const behavioralScore = await calculateBehavioralScore(currentTab.id, candidateTab.id);
-  score += behavioralScore * 0.10;
+  score += behavioralScore * weights.behavioral;
   scores.behavioral = behavioralScore;
 
   return {
@@ -269,8 +270,13 @@ async function calculateBehavioralScore(currentTabId, candidateTabId) {
 
 /**
  * Get hybrid suggestions for a tab
+ * Pass weights to override the configured ones (options page preview)
  */
-async function getHybridSuggestions(currentTab, allTabs, workflowPrediction = null) {
+async function getHybridSuggestions(currentTab, allTabs, workflowPrediction = null, weights = null) {
+  const hybridWeights = weights
+    ? { ...DEFAULT_SCORING_WEIGHTS.hybrid, ...weights }
+    : (await storage.getScoringWeights()).hybrid;
+
   // Get TF-IDF index
   let tfidf = null;
   try {
@@ -298,7 +304,7 @@ async function getHybridSuggestions(currentTab, allTabs, workflowPrediction = nu
   // Score each tab
   const scored = await Promise.all(
     otherTabs.map(async candidateTab => {
-      const result = await calculateHybridScore(currentTab, candidateTab, tfidf);
+      const result = await calculateHybridScore(currentTab, candidateTab, tfidf, hybridWeights);
 
       // Workflow bonus: +0.3 to score if tab predicted by workflow
       let finalScore = result.total;
@@ -3,9 +3,10 @@
  * Fast scoring system with AI data support
  */
 
-import { storage } from './storage.js';
+import { storage, DEFAULT_SCORING_WEIGHTS } from './storage.js';
 import { db } from './db.js';
 import { TFIDF } from './tfidf.js';
+import { isUrlExcluded } from './exclusions.js';
 
 /**
  * Check if URL is accessible for content extraction
@@ -40,6 +41,16 @@ async function extractTabContent(tabId) {
       return '';
     }
 
+    if (await isUrlExcluded(tab.url)) {
+      console.log(`🚫 URL excluded from extraction: ${tab.url}`);
+      return '';
+    }
+
+    if (await storage.isPrivacyModeEnabled()) {
+      console.log(`🔒 Privacy mode: no content extraction`);
+      return '';
+    }
+
     const results = await chrome.scripting.executeScript({
       target: { tabId: tabId },
       func: () => {
@@ -300,8 +311,13 @@ async function calculateAIBonus(currentTabId, candidateTabId) {
 
 /**
  * Lite Mode: Complete scoring with progressive AI support
+ * Pass weights to override the configured ones (options page preview)
  */
-async function getLiteSuggestions(currentTab, allTabs) {
+async function getLiteSuggestions(currentTab, allTabs, weights = null) {
+  const liteWeights = weights
+    ? { ...DEFAULT_SCORING_WEIGHTS.lite, ...weights }
+    : (await storage.getScoringWeights()).lite;
+
   // Get or build TF-IDF index
   let tfidf = null;
   try {
@@ -322,8 +338,9 @@ async function getLiteSuggestions(currentTab, allTabs) {
   const currentTabText = `${currentTab.title} ${currentTab.title} ${currentTab.title}`;
   const otherTabs = allTabs.filter(t => t.id !== currentTab.id);
   
-  // Check if we have AI data
+  // Check if we have AI data (ignored in privacy mode: titles, URLs and behavior only)
   const coldStartDone = await storage.isColdStartDone();
+  const privacyMode = await storage.isPrivacyModeEnabled();
   
   // Score chaque tab
   const scored = await Promise.all(
@@ -331,36 +348,36 @@ async function getLiteSuggestions(currentTab, allTabs) {
       let score = 0;
       const candidateDomain = new URL(candidateTab.url).hostname;
       
-      // 1. Textual BM25 (20% - reduced)
+      // 1. Textual BM25 (default 20%)
       const bm25Score = tfidf ? calculateTFIDFScore(currentTabText, candidateTab.id, tfidf) : 0;
-      score += Math.min(bm25Score / 10, 1) * 0.20;
+      score += Math.min(bm25Score / 10, 1) * liteWeights.bm25;
       
-      // 2. Cosine similarity (15% - reduced)
+      // 2. Cosine similarity (default 15%)
       const cosineSim = tfidf ? calculateSemanticSimilarity(currentTab.id, candidateTab.id, tfidf) : 0;
-      score += cosineSim * 0.15;
+      score += cosineSim * liteWeights.cosine;
       
-      // 3. Bonus AI (20%)
+      // 3. Bonus AI (default 20%)
       let aiBonus = 0;
-      if (coldStartDone) {
+      if (coldStartDone && !privacyMode) {
         aiBonus = await calculateAIBonus(currentTab.id, candidateTab.id);
-        score += aiBonus * 0.20;
+        score += aiBonus * liteWeights.ai;
       }
       
-      // 4. Navigation history (15%)
+      // 4. Navigation history (default 15%)
       const behavioralScore = await calculateBehavioralScore(currentTab.id, candidateTab.id);
-      score += behavioralScore * 0.15;
+      score += behavioralScore * liteWeights.behavioral;
 
-      // 5. Access frequency (10%)
+      // 5. Access frequency (default 10%)
       const accessFrequency = calculateAccessFrequency(candidateTab);
-      score += accessFrequency * 0.10;
+      score += accessFrequency * liteWeights.frequency;
 
-      // 6. Recency (8%)
+      // 6. Recency (default 8%)
       const recencyScore = calculateRecencyScore(candidateTab);
-      score += recencyScore * 0.08;
+      score += recencyScore * liteWeights.recency;
 
-      // 7. Temporal proximity (7%)
+      // 7. Temporal proximity (default 7%)
       const temporalProximity = calculateTemporalProximity(currentTab, candidateTab);
-      score += temporalProximity * 0.07;
+      score += temporalProximity * liteWeights.temporal;
 
       // Note: Domain bonus removed - same domain doesn't mean similar content
       // (ex: 2 Google Docs with different subjects)
@@ -372,6 +389,16 @@ async function getLiteSuggestions(currentTab, allTabs) {
         aiBonus: aiBonus,
         behavioralScore: behavioralScore,
         temporalProximity: temporalProximity,
+        // Raw signals (0-1), weighted by liteWeights in the total ("Why this suggestion")
+        scoreBreakdown: {
+          bm25: Math.min(bm25Score / 10, 1),
+          cosine: cosineSim,
+          ai: aiBonus,
+          behavioral: behavioralScore,
+          frequency: accessFrequency,
+          recency: recencyScore,
+          temporal: temporalProximity
+        },
         reason: await generateLiteReason(currentTab, candidateTab, domainScore > 0, behavioralScore > 0.3, aiBonus > 0, tfidf)
       };
     })
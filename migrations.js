@@ -0,0 +1,157 @@
+/**
+ * migrations.js
+ * Ordered schema migrations for TabyDB (v1 → v2 → ...)
+ *
+ * Each migration runs inside the versionchange transaction opened by indexedDB.open(),
+ * so a failing migration aborts the whole upgrade and the database stays at its old version.
+ * To change the schema: append a migration with the next version number, never edit a released one.
+ */
+
+/**
+ * Default values for fields added to tab records after v1
+ */
+function backfillTabRecord(tab) {
+  return {
+    ...tab,
+    closedAt: tab.closedAt ?? null,
+    tags: Array.isArray(tab.tags) ? tab.tags : [],
+    clusterId: tab.clusterId ?? null,
+    archivedAt: tab.archivedAt ?? null
+  };
+}
+
+/**
+ * Rewrite every record of a store with fn (record → record)
+ */
+function updateAllRecords(store, fn) {
+  const request = store.openCursor();
+
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+
+    cursor.update(fn(cursor.value));
+    cursor.continue();
+  };
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Initial schema (tabs_index, navigation_history, tab_relationships, workflows)',
+    migrate(db) {
+      // TABLE 1: tabs_index
+      if (!db.objectStoreNames.contains('tabs_index')) {
+        const tabsStore = db.createObjectStore('tabs_index', { keyPath: 'id' });
+
+        // Indexes for fast queries
+        tabsStore.createIndex('tabId', 'tabId', { unique: false });
+        tabsStore.createIndex('urlHash', 'urlHash', { unique: false });
+        tabsStore.createIndex('domain', 'domain', { unique: false });
+        tabsStore.createIndex('lastAccessedAt', 'lastAccessedAt', { unique: false });
+        tabsStore.createIndex('isActive', 'flags.isActive', { unique: false });
+        tabsStore.createIndex('isIndexed', 'flags.isIndexed', { unique: false });
+      }
+
+      // TABLE 2: navigation_history
+      if (!db.objectStoreNames.contains('navigation_history')) {
+        const navStore = db.createObjectStore('navigation_history', { keyPath: 'id' });
+
+        navStore.createIndex('timestamp', 'timestamp', { unique: false });
+        navStore.createIndex('fromTabId', 'fromTab.tabId', { unique: false });
+        navStore.createIndex('toTabId', 'toTab.tabId', { unique: false });
+      }
+
+      // TABLE 3: tab_relationships
+      if (!db.objectStoreNames.contains('tab_relationships')) {
+        const relStore = db.createObjectStore('tab_relationships', { keyPath: 'id' });
+
+        relStore.createIndex('tab1', 'tab1', { unique: false });
+        relStore.createIndex('tab2', 'tab2', { unique: false });
+        relStore.createIndex('overallScore', 'overallScore', { unique: false });
+      }
+
+      // TABLE 4: workflows
+      if (!db.objectStoreNames.contains('workflows')) {
+        const workflowStore = db.createObjectStore('workflows', { keyPath: 'id' });
+
+        workflowStore.createIndex('frequency', 'frequency', { unique: false });
+        workflowStore.createIndex('lastOccurrence', 'lastOccurrence', { unique: false });
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Relationship indexes on tab1Id/tab2Id + [tab1Id, tab2Id], backfill tab records',
+    migrate(db, transaction) {
+      const relStore = transaction.objectStore('tab_relationships');
+
+      // v1 indexed "tab1"/"tab2", but records store tab1Id/tab2Id: those indexes were always empty
+      ['tab1', 'tab2'].forEach(indexName => {
+        if (relStore.indexNames.contains(indexName)) {
+          relStore.deleteIndex(indexName);
+        }
+      });
+      relStore.createIndex('tab1Id', 'tab1Id', { unique: false });
+      relStore.createIndex('tab2Id', 'tab2Id', { unique: false });
+      relStore.createIndex('tabPair', ['tab1Id', 'tab2Id'], { unique: false });
+
+      updateAllRecords(transaction.objectStore('tabs_index'), backfillTabRecord);
+    }
+  },
+  {
+    version: 3,
+    description: 'Project clusters store, clusterId on tab records',
+    migrate(db, transaction) {
+      if (!db.objectStoreNames.contains('clusters')) {
+        db.createObjectStore('clusters', { keyPath: 'id' });
+      }
+
+      const tabsStore = transaction.objectStore('tabs_index');
+      tabsStore.createIndex('clusterId', 'clusterId', { unique: false });
+      updateAllRecords(tabsStore, backfillTabRecord);
+    }
+  },
+  {
+    version: 4,
+    description: 'Archived state on tab records (archivedAt index)',
+    migrate(db, transaction) {
+      // null is not a valid key: the index only holds archived records
+      const tabsStore = transaction.objectStore('tabs_index');
+      tabsStore.createIndex('archivedAt', 'archivedAt', { unique: false });
+      updateAllRecords(tabsStore, backfillTabRecord);
+    }
+  },
+  {
+    version: 5,
+    description: 'Named workspaces store',
+    migrate(db) {
+      if (!db.objectStoreNames.contains('workspaces')) {
+        const workspaceStore = db.createObjectStore('workspaces', { keyPath: 'id' });
+        workspaceStore.createIndex('name', 'name', { unique: false });
+      }
+    }
+  }
+];
+
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Run every migration between oldVersion (exclusive) and newVersion (inclusive)
+ * Must be called from onupgradeneeded
+ */
+function runMigrations(db, transaction, oldVersion, newVersion = DB_VERSION) {
+  MIGRATIONS
+    .filter(migration => migration.version > oldVersion && migration.version <= newVersion)
+    .forEach(migration => {
+      console.log(`🔧 TabyDB: Migration v${migration.version} - ${migration.description}`);
+      migration.migrate(db, transaction);
+    });
+}
+
+export {
+  MIGRATIONS,
+  DB_VERSION,
+  runMigrations,
+  backfillTabRecord
+};
@@ -0,0 +1,146 @@
+/**
+ * mru-history.js
+ * Per-window most-recently-used tab history behind quick-return, fed by every tabs.onActivated
+ * Kept in chrome.storage.session: survives service worker suspension, cleared when the browser closes
+ * Back/forward move a cursor through the history without reordering it; the tab reached that way
+ * becomes the most recent once another tab is activated (like browser history)
+ */
+
+const HISTORY_KEY = 'mruHistory';
+const MAX_HISTORY = 50;
+
+// Read-modify-write of the whole history, one update at a time (activations come in bursts)
+let queue = Promise.resolve();
+
+function updateHistory(update) {
+  const run = queue.then(async () => {
+    const { [HISTORY_KEY]: stored } = await chrome.storage.session.get(HISTORY_KEY);
+    const history = stored || {};
+    const result = update(history);
+    await chrome.storage.session.set({ [HISTORY_KEY]: history });
+    return result;
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * History of a window: { tabIds (most recent first), cursor (index of the tab shown), cycling (tab being activated by back/forward) }
+ */
+function getEntry(history, windowId) {
+  if (!history[windowId]) {
+    history[windowId] = { tabIds: [], cursor: 0, cycling: null };
+  }
+  return history[windowId];
+}
+
+/**
+ * Check a window's history against its open tabs: closed tabs dropped,
+ * tabs not activated since the browser started appended in Chrome's lastAccessed order
+ */
+function syncEntry(entry, tabs) {
+  const openIds = new Set(tabs.map(tab => tab.id));
+  const cursorTabId = entry.tabIds[entry.cursor];
+  const tabIds = entry.tabIds.filter(id => openIds.has(id));
+  const known = new Set(tabIds);
+  const missing = tabs
+    .filter(tab => !known.has(tab.id))
+    .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0))
+    .map(tab => tab.id);
+
+  entry.tabIds = [...tabIds, ...missing].slice(0, MAX_HISTORY);
+  entry.cursor = Math.max(entry.tabIds.indexOf(cursorTabId), 0);
+}
+
+/**
+ * tabs.onActivated: the tab becomes the most recent of its window
+ */
+function recordTabActivation(tabId, windowId) {
+  return updateHistory(history => {
+    const entry = getEntry(history, windowId);
+
+    // Activated by back/forward: the history keeps its order
+    if (entry.cycling === tabId) {
+      entry.cycling = null;
+      return;
+    }
+
+    // Leaving a tab reached with back/forward: it comes right after the new one
+    const visited = entry.cursor > 0 ? entry.tabIds[entry.cursor] : null;
+    const before = visited !== null && visited !== tabId ? [tabId, visited] : [tabId];
+
+    entry.tabIds = [...before, ...entry.tabIds.filter(id => !before.includes(id))].slice(0, MAX_HISTORY);
+    entry.cursor = 0;
+    entry.cycling = null;
+  });
+}
+
+/**
+ * Move one step back (older) or forward (newer) in a window's history
+ * Returns the tab id to activate, null at either end
+ */
+async function stepTabHistory(windowId, direction) {
+  const tabs = await chrome.tabs.query({ windowId });
+
+  return updateHistory(history => {
+    const entry = getEntry(history, windowId);
+    syncEntry(entry, tabs);
+
+    const index = entry.cursor + (direction === 'back' ? 1 : -1);
+    if (index < 0 || index >= entry.tabIds.length) return null;
+
+    entry.cursor = index;
+    entry.cycling = entry.tabIds[index];
+    return entry.cycling;
+  });
+}
+
+/**
+ * Open tabs of a window, the active one first, then most recently used first
+ */
+async function getTabHistory(windowId) {
+  const tabs = await chrome.tabs.query({ windowId });
+  const tabIds = await updateHistory(history => {
+    const entry = getEntry(history, windowId);
+    syncEntry(entry, tabs);
+    return entry.tabIds;
+  });
+
+  const byId = new Map(tabs.map(tab => [tab.id, tab]));
+  const active = tabs.find(tab => tab.active);
+
+  return [active, ...tabIds.map(id => byId.get(id)).filter(tab => tab !== active)].filter(Boolean);
+}
+
+/**
+ * Discarded (older Chrome) or prerendered tabs come back with a new id
+ */
+function replaceTabInHistory(addedTabId, removedTabId) {
+  return updateHistory(history => {
+    Object.values(history).forEach(entry => {
+      entry.tabIds = entry.tabIds.map(id => (id === removedTabId ? addedTabId : id));
+      if (entry.cycling === removedTabId) entry.cycling = addedTabId;
+    });
+  });
+}
+
+function forgetWindowHistory(windowId) {
+  return updateHistory(history => {
+    delete history[windowId];
+  });
+}
+
+function clearTabHistory() {
+  return updateHistory(history => {
+    Object.keys(history).forEach(windowId => delete history[windowId]);
+  });
+}
+
+export {
+  recordTabActivation,
+  stepTabHistory,
+  getTabHistory,
+  replaceTabInHistory,
+  forgetWindowHistory,
+  clearTabHistory
+};
@@ -0,0 +1,201 @@
+/**
+ * nl-query.js
+ * Natural-language tab queries ("github PRs I looked at this morning about auth")
+ * The Prompt API rewrites the query into filters (domain, app, type, topic, recency),
+ * then open tabs from tabs_index are ranked with them.
+ * Without the Prompt API: keyword search (BM25) over summaries.
+ */
+
+import { db } from './db.js';
+import { TFIDF } from './tfidf.js';
+import { APPS_BY_DOMAIN, detectApp } from './cold-start.js';
+import { filterExcludedTabs } from './exclusions.js';
+
+const TAB_TYPES = ['document', 'email', 'meeting-notes', 'report', 'code', 'design', 'article', 'other'];
+const RECENCIES = ['last_hour', 'this_morning', 'today', 'yesterday', 'this_week', 'any'];
+
+/**
+ * Rewrite a query into filters with the Prompt API (null if unavailable)
+ */
+async function extractFilters(query) {
+  try {
+    if (!('LanguageModel' in self)) {
+      return null;
+    }
+
+    const availability = await LanguageModel.availability();
+    if (availability === 'unavailable') {
+      return null;
+    }
+
+    const session = await LanguageModel.create({
+      temperature: 0.1,
+      topK: 1
+    });
+
+    const apps = [...new Set(Object.values(APPS_BY_DOMAIN))];
+
+    const prompt = `Rewrite this search over the user's browser tabs into filters.
+
+Query: ${query}
+
+Provide (use "none" when the query does not say):
+DOMAIN: website domain, e.g. github.com
+APP: one of [${apps.join(', ')}]
+TYPE: one of [${TAB_TYPES.join(', ')}]
+TOPIC: what the page is about, a few words
+RECENCY: one of [${RECENCIES.join(', ')}]
+
+Format:
+DOMAIN: xxx
+APP: xxx
+TYPE: xxx
+TOPIC: xxx
+RECENCY: xxx`;
+
+    const response = await session.prompt(prompt);
+    session.destroy();
+
+    const lines = response.split('\n');
+    const value = (prefix) => {
+      const line = lines.find(l => l.trim().toUpperCase().startsWith(prefix + ':'));
+      const raw = line?.slice(line.indexOf(':') + 1).trim().toLowerCase() || '';
+      return raw === '' || raw === 'none' ? null : raw;
+    };
+
+    const app = value('APP');
+    const type = value('TYPE');
+    const recency = value('RECENCY');
+
+    const domain = value('DOMAIN')?.replace(/^www\./, '');
+
+    return {
+      domain: domain?.includes('.') ? domain : null,
+      app: apps.includes(app) ? app : null,
+      type: TAB_TYPES.includes(type) ? type : null,
+      topic: value('TOPIC'),
+      recency: RECENCIES.includes(recency) && recency !== 'any' ? recency : null
+    };
+  } catch (error) {
+    console.error('Error extracting query filters:', error);
+    return null;
+  }
+}
+
+/**
+ * Time window [from, to] for a recency filter
+ */
+function getRecencyWindow(recency, now = new Date()) {
+  const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  const day = 24 * 60 * 60 * 1000;
+
+  switch (recency) {
+    case 'last_hour':
+      return [now.getTime() - 60 * 60 * 1000, now.getTime()];
+    case 'this_morning':
+      return [startOfDay, startOfDay + 12 * 60 * 60 * 1000];
+    case 'today':
+      return [startOfDay, now.getTime()];
+    case 'yesterday':
+      return [startOfDay - day, startOfDay];
+    case 'this_week':
+      return [startOfDay - 6 * day, now.getTime()];
+    default:
+      return null;
+  }
+}
+
+/**
+ * Rank records: domain, app and recency filter, type and topic rank
+ */
+function rankRecords(records, filters) {
+  const timeWindow = getRecencyWindow(filters.recency);
+
+  const candidates = records.filter(record => {
+    // Domain or subdomain (not lookalikes: "github.com" ≠ "notgithub.com")
+    if (filters.domain && !(record.domain === filters.domain || record.domain?.endsWith(`.${filters.domain}`))) return false;
+    if (filters.app && (record.metadata?.app || detectApp(record.domain)) !== filters.app) return false;
+    if (timeWindow && !(record.lastAccessedAt >= timeWindow[0] && record.lastAccessedAt <= timeWindow[1])) return false;
+    return true;
+  });
+
+  // Topic: BM25 over title + AI content
+  const tfidf = new TFIDF({ indexAllTerms: true });
+  candidates.forEach(record => {
+    const content = record.content || {};
+    const text = [
+      record.title,
+      content.summary,
+      ...(content.keywords || []),
+      ...(content.entities || []),
+      ...(content.topics || [])
+    ].filter(Boolean).join(' ');
+    tfidf.addDocument(text, record.id);
+  });
+
+  const scored = candidates.map(record => {
+    let score = filters.topic ? tfidf.bm25(filters.topic, record.id) : 0;
+    if (filters.type && record.metadata?.type === filters.type) {
+      score += 0.5;
+    }
+    return { record, score };
+  });
+
+  // With a topic, only tabs about it
+  return (filters.topic ? scored.filter(s => s.score > 0) : scored)
+    .sort((a, b) => b.score - a.score || (b.record.lastAccessedAt || 0) - (a.record.lastAccessedAt || 0));
+}
+
+/**
+ * Human readable filters (shown above the results)
+ */
+function describeFilters(filters) {
+  return [
+    filters.domain,
+    !filters.domain && filters.app ? filters.app.replace(/_/g, ' ') : null,
+    filters.type,
+    filters.recency?.replace(/_/g, ' '),
+    filters.topic && `about "${filters.topic}"`
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Run a natural-language query over open tabs
+ */
+async function runNaturalQuery(query, limit = 10) {
+  const aiFilters = await extractFilters(query);
+  const filters = aiFilters || { domain: null, app: null, type: null, topic: query, recency: null };
+
+  const openTabs = await chrome.tabs.query({});
+  const openById = new Map(openTabs.map(tab => [tab.id, tab]));
+
+  const records = (await db.getActiveTabs()).filter(record => openById.has(record.tabId));
+  const ranked = rankRecords(await filterExcludedTabs(records), filters).slice(0, limit);
+
+  console.log(`🔎 Natural query "${query}" →`, filters, `(${ranked.length} results)`);
+
+  return {
+    usedAI: aiFilters !== null,
+    filters,
+    description: aiFilters ? describeFilters(filters) : 'Keyword search (Prompt API unavailable)',
+    results: ranked.map(({ record }) => {
+      const tab = openById.get(record.tabId);
+      return {
+        id: tab.id,
+        title: tab.title,
+        url: tab.url,
+        favIconUrl: tab.favIconUrl,
+        windowId: tab.windowId,
+        snippet: record.content?.summary
+          ? { label: 'Summary', text: record.content.summary.slice(0, 160) }
+          : null
+      };
+    })
+  };
+}
+
+export {
+  runNaturalQuery,
+  extractFilters,
+  rankRecords
+};
@@ -8,6 +8,8 @@ import { storage } from './storage.js';
 import { TFIDF } from './tfidf.js';
 import { extractTabContent } from './lite-mode.js';
 import { createBasicRelationships, enrichRelationshipsWithAI } from './relationships.js';
+import { isUrlExcluded } from './exclusions.js';
+import { scheduleClusterUpdate } from './clustering.js';
 
 // Dedicated AI sessions for online indexing
 let onlineSummarizerSession = null;
@@ -207,6 +209,12 @@ async function updateTFIDFIndex(tabId, summary, keywords, title) {
  * Add tab to indexing queue
  */
 async function queueTabForIndexing(tab, priority = 'normal') {
+  // Excluded sites are never indexed
+  if (await isUrlExcluded(tab.url)) {
+    console.log(`🚫 [Online] Tab ${tab.id} excluded, not indexed`);
+    return;
+  }
+
   // Check if already in queue
   const alreadyQueued = indexingQueue.some(item => item.tab.id === tab.id);
   if (alreadyQueued) {
@@ -420,6 +428,9 @@ async function indexTabOnline(tab) {
       // Update TF-IDF
       await updateTFIDFIndex(tab.id, summary, metadata.keywords, tab.title);
 
+      // New AI content can move the tab to another project
+      scheduleClusterUpdate();
+
       // Create/enrich relationships with other indexed tabs based on content
       console.log(`🔗 [Online] Creating content-based relationships for tab ${tab.id}...`);
 
@@ -469,7 +480,7 @@ async function indexTabOnline(tab) {
         );
 
         if (hasMeaningfulOverlap) {
-          const existing = await db.getRelationship(currentTab.id, otherTab.id);
+          const existing = await db.getRelationshipBetween(currentTab.id, otherTab.id);
           if (!existing) {
             await createBasicRelationships(tab.id, otherTab.tabId, 'content');
             created++;
@@ -0,0 +1,553 @@
+/**
+ * options.js
+ * Options page: scoring weights (presets, live preview), excluded sites, archiving, memory budget and export / import
+ */
+
+// Signals shown as sliders (keys match config.scoringWeights)
+const SIGNALS = {
+  hybrid: [
+    { key: 'tfidf', label: 'Text (BM25)' },
+    { key: 'cosine', label: 'Cosine similarity' },
+    { key: 'entities', label: 'Shared entities' },
+    { key: 'topics', label: 'Shared topics' },
+    { key: 'relationship', label: 'Relationships' },
+    { key: 'behavioral', label: 'Navigation habits' }
+  ],
+  lite: [
+    { key: 'bm25', label: 'Text (BM25)' },
+    { key: 'cosine', label: 'Cosine similarity' },
+    { key: 'ai', label: 'AI bonus' },
+    { key: 'behavioral', label: 'Navigation habits' },
+    { key: 'frequency', label: 'Access frequency' },
+    { key: 'recency', label: 'Recency' },
+    { key: 'temporal', label: 'Temporal proximity' }
+  ],
+  bonuses: [
+    { key: 'sameWindow', label: 'Same window' }
+  ]
+};
+
+const MODES = Object.keys(SIGNALS);
+
+const THEME_LABELS = {
+  system: 'System',
+  light: 'Light',
+  dark: 'Dark',
+  'high-contrast': 'High contrast'
+};
+
+// Presets (balanced = defaults from background)
+const PRESETS = {
+  'content-heavy': {
+    label: 'Content-heavy',
+    weights: {
+      hybrid: { tfidf: 0.25, cosine: 0.20, entities: 0.25, topics: 0.20, relationship: 0.05, behavioral: 0.05 },
+      lite: { bm25: 0.30, cosine: 0.25, ai: 0.25, behavioral: 0.08, frequency: 0.05, recency: 0.04, temporal: 0.03 },
+      bonuses: { sameWindow: 0.03 }
+    }
+  },
+  'habit-heavy': {
+    label: 'Habit-heavy',
+    weights: {
+      hybrid: { tfidf: 0.08, cosine: 0.07, entities: 0.15, topics: 0.10, relationship: 0.25, behavioral: 0.35 },
+      lite: { bm25: 0.08, cosine: 0.07, ai: 0.10, behavioral: 0.30, frequency: 0.20, recency: 0.15, temporal: 0.10 },
+      bonuses: { sameWindow: 0.10 }
+    }
+  }
+};
+
+// DOM elements
+const presetsEl = document.getElementById('presets');
+const previewContextEl = document.getElementById('previewContext');
+const previewListEl = document.getElementById('previewList');
+const saveWeightsBtn = document.getElementById('saveWeightsBtn');
+const resetWeightsBtn = document.getElementById('resetWeightsBtn');
+const saveStatusEl = document.getElementById('saveStatus');
+const exclusionForm = document.getElementById('exclusionForm');
+const exclusionInput = document.getElementById('exclusionInput');
+const exclusionError = document.getElementById('exclusionError');
+const exclusionList = document.getElementById('exclusionList');
+const archiveForm = document.getElementById('archiveForm');
+const archiveDaysInput = document.getElementById('archiveDaysInput');
+const archiveError = document.getElementById('archiveError');
+const budgetForm = document.getElementById('budgetForm');
+const maxLoadedTabsInput = document.getElementById('maxLoadedTabsInput');
+const budgetError = document.getElementById('budgetError');
+const exportBtn = document.getElementById('exportBtn');
+const importFile = document.getElementById('importFile');
+const importBtn = document.getElementById('importBtn');
+const importError = document.getElementById('importError');
+const importSummary = document.getElementById('importSummary');
+const themeOptionsEl = document.getElementById('themeOptions');
+const accentOptionsEl = document.getElementById('accentOptions');
+
+// State
+let defaultWeights = null;
+let currentWeights = null;
+let previewTimeout = null;
+let themePreferences = TabystTheme.DEFAULT_THEME;
+
+/**
+ * Initialization
+ */
+async function init() {
+  await loadTheme();
+  await loadExclusions();
+  await loadArchiveDays();
+  await loadMaxLoadedTabs();
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'get-scoring-weights' });
+    defaultWeights = response.defaults;
+    currentWeights = response.weights;
+  } catch (error) {
+    console.error('Error loading weights:', error);
+    return;
+  }
+
+  renderPresets();
+  MODES.forEach(renderSliders);
+  refreshPresetState();
+  schedulePreview();
+}
+
+/**
+ * Render preset buttons
+ */
+function renderPresets() {
+  const presets = [
+    { id: 'balanced', label: 'Balanced', weights: defaultWeights },
+    ...Object.entries(PRESETS).map(([id, preset]) => ({ id, ...preset }))
+  ];
+
+  presetsEl.innerHTML = '';
+  presets.forEach(preset => {
+    const button = document.createElement('button');
+    button.className = 'preset-btn';
+    button.dataset.preset = preset.id;
+    button.textContent = preset.label;
+    button.addEventListener('click', () => applyWeights(preset.weights));
+    presetsEl.appendChild(button);
+  });
+}
+
+/**
+ * Render sliders for a mode (hybrid|lite|bonuses)
+ */
+function renderSliders(mode) {
+  const container = document.getElementById(`${mode}Sliders`);
+  container.innerHTML = '';
+
+  SIGNALS[mode].forEach(signal => {
+    const row = document.createElement('label');
+    row.className = 'slider-row';
+
+    const label = document.createElement('span');
+    label.textContent = signal.label;
+
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = '0';
+    input.max = '50';
+    input.step = '1';
+    input.dataset.mode = mode;
+    input.dataset.signal = signal.key;
+    input.value = Math.round(currentWeights[mode][signal.key] * 100);
+
+    const value = document.createElement('span');
+    value.className = 'slider-value';
+    value.textContent = `${input.value}%`;
+
+    input.addEventListener('input', () => {
+      currentWeights[mode][signal.key] = parseInt(input.value, 10) / 100;
+      value.textContent = `${input.value}%`;
+      updateTotal(mode);
+      refreshPresetState();
+      schedulePreview();
+    });
+
+    row.append(label, input, value);
+    container.appendChild(row);
+  });
+
+  updateTotal(mode);
+}
+
+/**
+ * Display the sum of weights for a mode (bonuses have no total)
+ */
+function updateTotal(mode) {
+  const totalEl = document.getElementById(`${mode}Total`);
+  if (!totalEl) return;
+
+  const total = Object.values(currentWeights[mode]).reduce((sum, w) => sum + w, 0);
+  totalEl.textContent = `Total: ${Math.round(total * 100)}%`;
+}
+
+/**
+ * Apply a full set of weights (preset or reset)
+ */
+function applyWeights(weights) {
+  currentWeights = Object.fromEntries(MODES.map(mode => [mode, { ...weights[mode] }]));
+  MODES.forEach(renderSliders);
+  refreshPresetState();
+  schedulePreview();
+}
+
+/**
+ * Highlight the preset matching current weights
+ */
+function refreshPresetState() {
+  const matches = (weights) => MODES.every(mode =>
+    Object.keys(weights[mode]).every(key =>
+      Math.abs(weights[mode][key] - currentWeights[mode][key]) < 0.005
+    )
+  );
+
+  presetsEl.querySelectorAll('.preset-btn').forEach(button => {
+    const preset = button.dataset.preset;
+    const weights = preset === 'balanced' ? defaultWeights : PRESETS[preset].weights;
+    button.classList.toggle('active', matches(weights));
+  });
+}
+
+/**
+ * Debounce preview while dragging
+ */
+function schedulePreview() {
+  clearTimeout(previewTimeout);
+  previewTimeout = setTimeout(updatePreview, 150);
+}
+
+/**
+ * Re-rank open tabs (all windows) with unsaved weights
+ */
+async function updatePreview() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'preview-scoring-weights',
+      weights: currentWeights
+    });
+    renderPreview(response?.preview);
+  } catch (error) {
+    console.error('Error preview:', error);
+  }
+}
+
+/**
+ * Render preview list
+ */
+function renderPreview(preview) {
+  previewListEl.innerHTML = '';
+
+  if (!preview || !preview.referenceTab) {
+    previewContextEl.textContent = 'Open some web pages in this window to see a preview.';
+    return;
+  }
+
+  const modeLabel = preview.mode === 'hybrid' ? 'Hybrid' : 'Lite';
+  previewContextEl.textContent = `${modeLabel} ranking for "${preview.referenceTab.title}"`;
+
+  if (preview.suggestions.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'preview-empty';
+    empty.textContent = 'No other tabs to rank.';
+    previewListEl.appendChild(empty);
+    return;
+  }
+
+  preview.suggestions.forEach((suggestion, index) => {
+    const item = document.createElement('li');
+    item.className = 'preview-item';
+
+    const rank = document.createElement('span');
+    rank.className = 'preview-rank';
+    rank.textContent = index + 1;
+
+    const favicon = document.createElement('img');
+    favicon.className = 'preview-favicon';
+    favicon.alt = '';
+    favicon.src = suggestion.favIconUrl || 'tabyst.png';
+
+    const info = document.createElement('div');
+    info.className = 'preview-info';
+    const title = document.createElement('div');
+    title.className = 'preview-title';
+    title.textContent = suggestion.title || 'Untitled Tab';
+    const reason = document.createElement('div');
+    reason.className = 'preview-reason';
+    reason.textContent = suggestion.reason || '';
+    info.append(title, reason);
+
+    const score = document.createElement('span');
+    score.className = 'preview-score';
+    score.textContent = suggestion.score.toFixed(3);
+
+    item.append(rank, favicon, info, score);
+    previewListEl.appendChild(item);
+  });
+}
+
+/**
+ * Save weights
+ */
+saveWeightsBtn.addEventListener('click', async () => {
+  try {
+    await chrome.runtime.sendMessage({ action: 'save-scoring-weights', weights: currentWeights });
+    saveStatusEl.classList.remove('hidden');
+    setTimeout(() => saveStatusEl.classList.add('hidden'), 2000);
+  } catch (error) {
+    console.error('Error saving weights:', error);
+  }
+});
+
+/**
+ * Reset to defaults (not saved until "Save")
+ */
+resetWeightsBtn.addEventListener('click', () => {
+  applyWeights(defaultWeights);
+});
+
+/**
+ * Load and apply theme preferences
+ */
+async function loadTheme() {
+  // Defaults until the config answers (no unstyled flash)
+  TabystTheme.apply(themePreferences);
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'get-theme' });
+    themePreferences = response?.theme || themePreferences;
+  } catch (error) {
+    console.error('Error loading theme:', error);
+  }
+
+  TabystTheme.apply(themePreferences);
+  renderThemeOptions();
+}
+
+/**
+ * Render theme buttons and accent swatches
+ */
+function renderThemeOptions() {
+  themeOptionsEl.innerHTML = '';
+  TabystTheme.THEMES.forEach(theme => {
+    const button = document.createElement('button');
+    button.className = 'preset-btn';
+    button.classList.toggle('active', theme === themePreferences.theme);
+    button.textContent = THEME_LABELS[theme] || theme;
+    button.addEventListener('click', () => saveTheme({ theme }));
+    themeOptionsEl.appendChild(button);
+  });
+
+  accentOptionsEl.innerHTML = '';
+  Object.entries(TabystTheme.ACCENT_COLORS).forEach(([name, color]) => {
+    const button = document.createElement('button');
+    button.className = 'accent-swatch';
+    button.classList.toggle('active', name === themePreferences.accentColor);
+    button.style.backgroundColor = color;
+    button.title = name;
+    button.setAttribute('aria-label', `${name} accent`);
+    button.addEventListener('click', () => saveTheme({ accentColor: name }));
+    accentOptionsEl.appendChild(button);
+  });
+}
+
+/**
+ * Apply a theme change right away and save it
+ */
+async function saveTheme(updates) {
+  themePreferences = { ...themePreferences, ...updates };
+  TabystTheme.apply(themePreferences);
+  renderThemeOptions();
+
+  try {
+    await chrome.runtime.sendMessage({ action: 'set-theme', ...updates });
+  } catch (error) {
+    console.error('Error saving theme:', error);
+  }
+}
+
+/**
+ * Load exclusion list
+ */
+async function loadExclusions() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'get-exclusions' });
+    renderExclusions(response?.patterns || []);
+  } catch (error) {
+    console.error('Error loading exclusions:', error);
+  }
+}
+
+/**
+ * Render exclusion list
+ */
+function renderExclusions(patterns) {
+  exclusionList.innerHTML = '';
+
+  patterns.forEach(pattern => {
+    const item = document.createElement('li');
+    item.className = 'exclusion-item';
+
+    const text = document.createElement('span');
+    text.textContent = pattern;
+
+    const removeButton = document.createElement('button');
+    removeButton.className = 'remove-btn';
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', async () => {
+      const response = await chrome.runtime.sendMessage({ action: 'remove-exclusion', pattern });
+      renderExclusions(response?.patterns || []);
+    });
+
+    item.append(text, removeButton);
+    exclusionList.appendChild(item);
+  });
+}
+
+/**
+ * Days without use before a tab is proposed for archiving
+ */
+async function loadArchiveDays() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'get-archive-days' });
+    archiveDaysInput.value = response.days;
+  } catch (error) {
+    console.error('Error loading archive days:', error);
+  }
+}
+
+archiveForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+
+  const response = await chrome.runtime.sendMessage({ action: 'set-archive-days', days: Number(archiveDaysInput.value) });
+
+  if (response?.success) {
+    archiveDaysInput.value = response.days;
+    archiveError.classList.add('hidden');
+  } else {
+    archiveError.textContent = response?.error || 'Invalid number of days';
+    archiveError.classList.remove('hidden');
+  }
+});
+
+/**
+ * Memory budget: tabs kept loaded (0 = off)
+ */
+async function loadMaxLoadedTabs() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'get-max-loaded-tabs' });
+    maxLoadedTabsInput.value = response.maxLoadedTabs;
+  } catch (error) {
+    console.error('Error loading memory budget:', error);
+  }
+}
+
+budgetForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+
+  const response = await chrome.runtime.sendMessage({ action: 'set-max-loaded-tabs', maxLoadedTabs: Number(maxLoadedTabsInput.value) });
+
+  if (response?.success) {
+    maxLoadedTabsInput.value = response.maxLoadedTabs;
+    budgetError.classList.add('hidden');
+  } else {
+    budgetError.textContent = response?.error || 'Invalid number of tabs';
+    budgetError.classList.remove('hidden');
+  }
+});
+
+/**
+ * Add exclusion (purges already stored data for matching tabs)
+ */
+exclusionForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const pattern = exclusionInput.value.trim();
+  if (!pattern) return;
+
+  const response = await chrome.runtime.sendMessage({ action: 'add-exclusion', pattern });
+
+  if (response?.success) {
+    exclusionInput.value = '';
+    exclusionError.classList.add('hidden');
+    renderExclusions(response.patterns);
+  } else {
+    exclusionError.textContent = response?.error || 'Invalid pattern';
+    exclusionError.classList.remove('hidden');
+  }
+});
+
+/**
+ * Export: download everything as a JSON file
+ */
+exportBtn.addEventListener('click', async () => {
+  exportBtn.disabled = true;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'export-data' });
+    if (!response?.success) throw new Error(response?.error || 'Export failed');
+
+    const date = new Date().toISOString().slice(0, 10);
+    const blob = new Blob([JSON.stringify(response.data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `tabyst-export-${date}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Error exporting data:', error);
+  } finally {
+    exportBtn.disabled = false;
+  }
+});
+
+importFile.addEventListener('change', () => {
+  importBtn.disabled = importFile.files.length === 0;
+  importError.classList.add('hidden');
+  importSummary.classList.add('hidden');
+});
+
+/**
+ * Import: merge into or replace current data
+ */
+importBtn.addEventListener('click', async () => {
+  const file = importFile.files[0];
+  if (!file) return;
+
+  const mode = document.querySelector('input[name="importMode"]:checked').value;
+  if (mode === 'replace' && !confirm('Replace all current Tabyst data with this file?')) return;
+
+  importBtn.disabled = true;
+  importError.classList.add('hidden');
+  importSummary.classList.add('hidden');
+
+  try {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch {
+      throw new Error('This file is not valid JSON');
+    }
+
+    const response = await chrome.runtime.sendMessage({ action: 'import-data', data, mode });
+    if (!response?.success) throw new Error(response?.error || 'Import failed');
+
+    const { tabs, relationships, navigations, workflows, workspaces, linkedToOpenTabs } = response.summary;
+    importSummary.textContent = `✓ Imported ${tabs} tabs, ${relationships} relationships, ${navigations} navigations, ${workflows} workflows and ${workspaces} workspaces (${linkedToOpenTabs} matched to open tabs)`;
+    importSummary.classList.remove('hidden');
+
+    // Settings (weights, exclusions) may have changed
+    init();
+  } catch (error) {
+    importError.textContent = error.message;
+    importError.classList.remove('hidden');
+  } finally {
+    importBtn.disabled = false;
+  }
+});
+
+// Start
+init();
@@ -0,0 +1,218 @@
+/**
+ * palette.js
+ * Scoped search providers for the modal prefixes:
+ * @ domain or app, # AI topic or user tag, / detected workflows (> commands are listed by content.js)
+ * A partial term returns completions, a complete one returns the matching tabs
+ */
+
+import { db } from './db.js';
+import { detectApp } from './cold-start.js';
+import { filterExcludedTabs } from './exclusions.js';
+import { isAccessibleUrl } from './lite-mode.js';
+import { describeWorkflow } from './workflows.js';
+
+const MAX_COMPLETIONS = 8;
+
+/**
+ * "@github.com auth" → { value: 'github.com', text: 'auth' }
+ */
+function parseTerm(term) {
+  const [value = '', ...rest] = term.trim().split(/\s+/);
+  return { value: value.toLowerCase(), text: rest.join(' ').toLowerCase() };
+}
+
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.replace('www.', '');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Open web tabs with their tabs_index record (AI content, app)
+ */
+async function getOpenEntries() {
+  const openTabs = await filterExcludedTabs((await chrome.tabs.query({})).filter(tab => isAccessibleUrl(tab.url)));
+  const records = new Map((await db.getActiveTabs()).map(record => [record.tabId, record]));
+
+  return openTabs.map(tab => {
+    const record = records.get(tab.id) || null;
+    const domain = record?.domain || getDomain(tab.url);
+    return { tab, record, domain, app: record?.metadata?.app || detectApp(domain) };
+  });
+}
+
+function toResult({ tab, record }) {
+  return {
+    id: tab.id,
+    title: tab.title,
+    url: tab.url,
+    favIconUrl: tab.favIconUrl,
+    windowId: tab.windowId,
+    discarded: tab.discarded || false,
+    snippet: record?.content?.summary
+      ? { label: 'Summary', text: record.content.summary.slice(0, 160) }
+      : null
+  };
+}
+
+function matchesText(entry, text) {
+  if (!text) return true;
+  return `${entry.tab.title} ${entry.tab.url}`.toLowerCase().includes(text);
+}
+
+/**
+ * Completions: values containing the term, prefix matches and most used first
+ */
+function rankCompletions(counts, value, kind) {
+  return [...counts.entries()]
+    .filter(([name]) => name.toLowerCase().includes(value))
+    .sort(([a, countA], [b, countB]) =>
+      Number(b.toLowerCase().startsWith(value)) - Number(a.toLowerCase().startsWith(value)) ||
+      countB - countA ||
+      a.localeCompare(b)
+    )
+    .map(([name, count]) => ({ value: name, label: name.replace(/_/g, ' '), kind, count }));
+}
+
+function countValues(entries, getValues) {
+  const counts = new Map();
+  entries.forEach(entry => {
+    new Set(getValues(entry)).forEach(name => counts.set(name, (counts.get(name) || 0) + 1));
+  });
+  return counts;
+}
+
+/**
+ * @ : domain (github.com, also matches subdomains) or app (github, google_docs)
+ */
+async function searchByDomain(term) {
+  const { value, text } = parseTerm(term);
+  const entries = await getOpenEntries();
+
+  const apps = countValues(entries, entry => entry.app !== 'other' ? [entry.app] : []);
+  const domains = countValues(entries, entry => entry.domain ? [entry.domain] : []);
+
+  if (apps.has(value) || domains.has(value)) {
+    const matches = entries.filter(entry =>
+      (entry.app === value || entry.domain === value || entry.domain.endsWith(`.${value}`)) && matchesText(entry, text)
+    );
+    return {
+      header: `${apps.has(value) ? value.replace(/_/g, ' ') : value} · ${matches.length} tab${matches.length === 1 ? '' : 's'}`,
+      results: matches.map(toResult)
+    };
+  }
+
+  return {
+    completions: [
+      ...rankCompletions(apps, value, 'app'),
+      ...rankCompletions(domains, value, 'domain')
+    ].slice(0, MAX_COMPLETIONS)
+  };
+}
+
+/**
+ * # : AI topic or user tag (case-insensitive)
+ */
+async function searchByTopic(term) {
+  const { value, text } = parseTerm(term);
+  const entries = await getOpenEntries();
+
+  const tags = countValues(entries, entry => (entry.record?.tags || []).map(tag => tag.toLowerCase()));
+  const topics = countValues(entries, entry => (entry.record?.content?.topics || []).map(topic => topic.toLowerCase()));
+
+  // Multi-word topics are completed with dashes ("machine learning" → #machine-learning)
+  const normalize = name => name.replace(/\s+/g, '-');
+  const hasValue = (entry) => [...(entry.record?.tags || []), ...(entry.record?.content?.topics || [])]
+    .some(name => normalize(name.toLowerCase()) === value);
+
+  const matches = value ? entries.filter(hasValue) : [];
+  if (matches.length > 0) {
+    const results = matches.filter(entry => matchesText(entry, text));
+    return {
+      header: `#${value} · ${results.length} tab${results.length === 1 ? '' : 's'}`,
+      results: results.map(toResult)
+    };
+  }
+
+  const renameKeys = counts => new Map([...counts].map(([name, count]) => [normalize(name), count]));
+  return {
+    completions: [
+      ...rankCompletions(renameKeys(tags), value, 'tag'),
+      ...rankCompletions(renameKeys(topics), value, 'topic')
+    ].slice(0, MAX_COMPLETIONS)
+  };
+}
+
+/**
+ * / : detected workflows (by confidence), "/2" shows the pages of the second one
+ */
+async function searchWorkflows(term) {
+  const query = term.trim().toLowerCase();
+  const workflows = (await db.getAllWorkflows()).sort((a, b) => b.confidence - a.confidence);
+  const allTabs = await db.getAllTabs();
+
+  const findRecord = url => allTabs.find(t => t.url === url && t.flags?.isActive) || allTabs.find(t => t.url === url);
+
+  const selected = /^\d+$/.test(query) ? workflows[parseInt(query, 10) - 1] : null;
+  if (selected) {
+    const openTabs = new Map((await chrome.tabs.query({})).map(tab => [tab.id, tab]));
+    const results = [];
+    const closed = [];
+
+    selected.pattern.forEach(url => {
+      const record = findRecord(url);
+      const tab = record?.flags?.isActive ? openTabs.get(record.tabId) : null;
+      if (tab) {
+        results.push({ id: tab.id, title: tab.title, url: tab.url, favIconUrl: tab.favIconUrl, windowId: tab.windowId, discarded: tab.discarded || false });
+      } else if (record) {
+        closed.push({ recordId: record.id, title: record.title, url: record.url, favIconUrl: record.favicon, closedAt: record.closedAt || null });
+      }
+    });
+
+    return {
+      header: `${await describeWorkflow(selected)} · seen ${selected.frequency}×`,
+      results,
+      closed
+    };
+  }
+
+  const completions = await Promise.all(workflows.map(async (workflow, index) => {
+    const titles = workflow.pattern.map(url => findRecord(url)?.title || getDomain(url));
+    return {
+      value: String(index + 1),
+      label: await describeWorkflow(workflow),
+      detail: titles.join(' → '),
+      kind: 'workflow',
+      count: workflow.pattern.length
+    };
+  }));
+
+  return {
+    completions: completions
+      .filter(c => !query || `${c.label} ${c.detail}`.toLowerCase().includes(query))
+      .slice(0, MAX_COMPLETIONS)
+  };
+}
+
+const PROVIDERS = {
+  '@': searchByDomain,
+  '#': searchByTopic,
+  '/': searchWorkflows
+};
+
+/**
+ * Run the provider of a prefix: { completions } or { header, results, closed }
+ */
+async function searchPalette(prefix, term) {
+  const provider = PROVIDERS[prefix];
+  if (!provider) {
+    throw new Error(`Unknown prefix: ${prefix}`);
+  }
+  return provider(term);
+}
+
+export {
+  searchPalette
+};
@@ -6,6 +6,8 @@
 // Éléments DOM
 const totalTabsEl = document.getElementById('totalTabs');
 const indexedTabsEl = document.getElementById('indexedTabs');
+const projectCountEl = document.getElementById('projectCount');
+const projectsCard = document.getElementById('projectsCard');
 const beforeColdStart = document.getElementById('beforeColdStart');
 const duringColdStart = document.getElementById('duringColdStart');
 const afterColdStart = document.getElementById('afterColdStart');
@@ -14,16 +16,48 @@ const pauseColdStartBtn = document.getElementById('pauseColdStartBtn');
 const progressFill = document.getElementById('progressFill');
 const progressPercentage = document.getElementById('progressPercentage');
 const progressText = document.getElementById('progressText');
+const settingsBtn = document.getElementById('settingsBtn');
+const sidePanelBtn = document.getElementById('sidePanelBtn');
+const privacyToggle = document.getElementById('privacyToggle');
+const privacyBadge = document.getElementById('privacyBadge');
+const suggestGroupsBtn = document.getElementById('suggestGroupsBtn');
+const groupPreview = document.getElementById('groupPreview');
+const groupCards = document.getElementById('groupCards');
+const applyGroupsBtn = document.getElementById('applyGroupsBtn');
+const cancelGroupsBtn = document.getElementById('cancelGroupsBtn');
+const duplicatesSection = document.getElementById('duplicatesSection');
+const duplicatesText = document.getElementById('duplicatesText');
+const duplicateCards = document.getElementById('duplicateCards');
+const closeDuplicatesBtn = document.getElementById('closeDuplicatesBtn');
+
+// Couleurs des tab groups Chrome
+const GROUP_COLORS = {
+  grey: '#5f6368',
+  blue: '#1a73e8',
+  red: '#d93025',
+  yellow: '#f9ab00',
+  green: '#1e8e3e',
+  pink: '#d01884',
+  purple: '#a142f4',
+  cyan: '#007b83',
+  orange: '#fa903e'
+};
 
 // État
 let updateInterval = null;
+let currentWindowId = null;
+let groupDrafts = null; // { groups: [{ name, color, tabIds }], tabs: Map id → tab, assignments: Map id → group index | -1 }
 
 /**
  * Initialisation
  */
 async function init() {
+  await loadTheme();
+  currentWindowId = (await chrome.windows.getCurrent()).id;
+  await updatePrivacyMode();
   await updateStats();
   await updateColdStartStatus();
+  await updateDuplicates();
   
   // Rafraîchit toutes les 2 secondes pendant l'indexation
   updateInterval = setInterval(async () => {
@@ -43,6 +77,14 @@ async function updateStats() {
       totalTabsEl.textContent = response.stats.tabs.total;
       indexedTabsEl.textContent = response.stats.tabs.indexed;
     }
+
+    // Projets ouverts (clusters d'au moins 2 onglets)
+    const clusters = await chrome.runtime.sendMessage({ action: 'get-clusters' });
+    if (clusters?.success) {
+      const projects = clusters.clusters.filter(cluster => cluster.tabs.length >= 2);
+      projectCountEl.textContent = clusters.projectCount;
+      projectsCard.title = projects.map(cluster => `${cluster.label} (${cluster.tabs.length})`).join('\n');
+    }
   } catch (error) {
     console.error('Erreur stats:', error);
   }
@@ -134,6 +176,288 @@ pauseColdStartBtn.addEventListener('click', async () => {
   }
 });
 
+/**
+ * Applique le thème choisi dans les options
+ */
+async function loadTheme() {
+  // Defaults until the config answers (no unstyled flash)
+  TabystTheme.apply();
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'get-theme' });
+    TabystTheme.apply(response?.theme);
+  } catch (error) {
+    console.error('Erreur thème:', error);
+  }
+}
+
+/**
+ * Met à jour l'indicateur du mode privé
+ */
+async function updatePrivacyMode() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'get-privacy-mode' });
+    showPrivacyMode(response?.enabled || false);
+  } catch (error) {
+    console.error('Erreur privacy mode:', error);
+  }
+}
+
+/**
+ * Affiche l'état du mode privé
+ */
+function showPrivacyMode(enabled) {
+  privacyToggle.checked = enabled;
+  privacyBadge.classList.toggle('hidden', !enabled);
+  startColdStartBtn.disabled = enabled;
+}
+
+/**
+ * Active/désactive le mode privé
+ */
+privacyToggle.addEventListener('change', async () => {
+  const enabled = privacyToggle.checked;
+  privacyToggle.disabled = true;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'set-privacy-mode', enabled });
+    showPrivacyMode(response?.enabled ?? enabled);
+    await updateColdStartStatus();
+  } catch (error) {
+    console.error('Erreur set privacy mode:', error);
+    showPrivacyMode(!enabled);
+  } finally {
+    privacyToggle.disabled = false;
+  }
+});
+
+/**
+ * Onglets ouverts plusieurs fois (le plus récent est gardé)
+ */
+async function updateDuplicates() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'find-duplicates' });
+    if (!response?.success) throw new Error(response?.error || 'No response');
+
+    duplicatesSection.classList.toggle('hidden', response.groups.length === 0);
+    duplicatesText.textContent = `${response.duplicateCount} duplicate tab${response.duplicateCount === 1 ? '' : 's'}. Closing keeps the most recently used one and merges their history.`;
+
+    duplicateCards.replaceChildren(...response.groups.map(group => {
+      const card = document.createElement('div');
+      card.className = 'group-card';
+
+      const header = document.createElement('div');
+      header.className = 'group-header';
+      const title = document.createElement('span');
+      title.className = 'group-title';
+      title.textContent = `${group.tabs.length}× `;
+      const reason = document.createElement('span');
+      reason.className = 'duplicate-reason';
+      reason.textContent = group.reason;
+      header.append(title, reason);
+
+      const row = document.createElement('div');
+      row.className = 'group-tab';
+      const favicon = document.createElement('img');
+      favicon.src = group.tabs[0].favIconUrl || 'https://placehold.co/32x32/e2e8f0/adb5bd?text=?';
+      favicon.alt = '';
+      const tabTitle = document.createElement('span');
+      tabTitle.textContent = group.tabs[0].title || group.tabs[0].url;
+      tabTitle.title = group.tabs.map(tab => tab.url).join('\n');
+      row.append(favicon, tabTitle);
+
+      card.append(header, row);
+      return card;
+    }));
+  } catch (error) {
+    console.error('Erreur duplicates:', error);
+    duplicatesSection.classList.add('hidden');
+  }
+}
+
+/**
+ * Ferme les doublons de toutes les fenêtres
+ */
+closeDuplicatesBtn.addEventListener('click', async () => {
+  closeDuplicatesBtn.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'close-duplicates' });
+    if (!response?.success) throw new Error(response?.error || 'No response');
+
+    await updateDuplicates();
+    await updateStats();
+  } catch (error) {
+    console.error('Erreur close duplicates:', error);
+    duplicatesText.textContent = 'Could not close the duplicates.';
+  } finally {
+    closeDuplicatesBtn.disabled = false;
+  }
+});
+
+/**
+ * Propose des groupes pour la fenêtre courante
+ */
+suggestGroupsBtn.addEventListener('click', async () => {
+  suggestGroupsBtn.disabled = true;
+  suggestGroupsBtn.textContent = '⏳ Finding related tabs...';
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'suggest-tab-groups', windowId: currentWindowId });
+    if (!response?.success) throw new Error(response?.error || 'No response');
+
+    const tabs = new Map([...response.groups.flatMap(g => g.tabs), ...response.ungrouped].map(tab => [tab.id, tab]));
+    const assignments = new Map([...tabs.keys()].map(id => [id, -1]));
+    response.groups.forEach((group, index) => group.tabs.forEach(tab => assignments.set(tab.id, index)));
+
+    groupDrafts = {
+      groups: response.groups.map(group => ({ name: group.name, color: group.color })),
+      tabs,
+      assignments
+    };
+    renderGroupDrafts();
+  } catch (error) {
+    console.error('Erreur suggest groups:', error);
+    groupCards.textContent = 'Could not suggest groups.';
+    groupPreview.classList.remove('hidden');
+  } finally {
+    suggestGroupsBtn.disabled = false;
+    suggestGroupsBtn.textContent = '🗂️ Suggest groups';
+  }
+});
+
+/**
+ * Aperçu éditable: nom de chaque groupe, groupe de chaque onglet
+ */
+function renderGroupDrafts() {
+  groupCards.replaceChildren();
+  groupPreview.classList.remove('hidden');
+
+  if (groupDrafts.groups.length === 0) {
+    groupCards.textContent = 'No related tabs to group in this window.';
+    applyGroupsBtn.classList.add('hidden');
+    return;
+  }
+  applyGroupsBtn.classList.remove('hidden');
+
+  const options = [
+    ...groupDrafts.groups.map((group, index) => ({ value: index, label: group.name || `Group ${index + 1}` })),
+    { value: -1, label: 'Not grouped' }
+  ];
+
+  [...groupDrafts.groups.map((group, index) => ({ group, index })), { group: null, index: -1 }].forEach(({ group, index }) => {
+    const tabIds = [...groupDrafts.assignments].filter(([, assigned]) => assigned === index).map(([id]) => id);
+    if (!group && tabIds.length === 0) return;
+
+    const card = document.createElement('div');
+    card.className = 'group-card';
+
+    const header = document.createElement('div');
+    header.className = 'group-header';
+    if (group) {
+      const color = document.createElement('span');
+      color.className = 'group-color';
+      color.style.background = GROUP_COLORS[group.color];
+
+      const name = document.createElement('input');
+      name.className = 'group-name';
+      name.value = group.name;
+      name.setAttribute('aria-label', 'Group name');
+      name.addEventListener('change', () => {
+        group.name = name.value.trim();
+        renderGroupDrafts();
+      });
+
+      header.append(color, name);
+    } else {
+      header.innerHTML = '<span class="group-title">Not grouped</span>';
+    }
+    card.appendChild(header);
+
+    tabIds.forEach(id => {
+      const tab = groupDrafts.tabs.get(id);
+      const row = document.createElement('div');
+      row.className = 'group-tab';
+
+      const favicon = document.createElement('img');
+      favicon.src = tab.favIconUrl || 'https://placehold.co/32x32/e2e8f0/adb5bd?text=?';
+      favicon.alt = '';
+
+      const title = document.createElement('span');
+      title.textContent = tab.title || tab.url;
+      title.title = tab.url;
+
+      const select = document.createElement('select');
+      select.setAttribute('aria-label', `Group of ${tab.title || tab.url}`);
+      options.forEach(option => select.add(new Option(option.label, option.value, false, option.value === index)));
+      select.addEventListener('change', () => {
+        groupDrafts.assignments.set(id, parseInt(select.value, 10));
+        renderGroupDrafts();
+      });
+
+      row.append(favicon, title, select);
+      card.appendChild(row);
+    });
+
+    if (group && tabIds.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'info-text';
+      empty.style.marginBottom = '0';
+      empty.textContent = 'Empty, will not be created';
+      card.appendChild(empty);
+    }
+
+    groupCards.appendChild(card);
+  });
+}
+
+/**
+ * Crée les tab groups Chrome
+ */
+applyGroupsBtn.addEventListener('click', async () => {
+  const groups = groupDrafts.groups.map((group, index) => ({
+    name: group.name,
+    color: group.color,
+    tabIds: [...groupDrafts.assignments].filter(([, assigned]) => assigned === index).map(([id]) => id)
+  }));
+
+  applyGroupsBtn.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'apply-tab-groups', groups });
+    if (!response?.success) throw new Error(response?.error || 'No response');
+
+    groupDrafts = null;
+    groupCards.textContent = `✓ Created ${response.count} group${response.count === 1 ? '' : 's'} (${response.tabCount} tabs)`;
+    applyGroupsBtn.classList.add('hidden');
+  } catch (error) {
+    console.error('Erreur apply groups:', error);
+    groupCards.textContent = 'Could not create the groups.';
+  } finally {
+    applyGroupsBtn.disabled = false;
+  }
+});
+
+cancelGroupsBtn.addEventListener('click', () => {
+  groupDrafts = null;
+  groupCards.replaceChildren();
+  groupPreview.classList.add('hidden');
+});
+
+/**
+ * Ouvre la page d'options
+ */
+settingsBtn.addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
+/**
+ * Ouvre le side panel de la fenêtre courante
+ */
+sidePanelBtn.addEventListener('click', async () => {
+  // Doit rester dans le geste utilisateur: pas d'attente avant open()
+  await chrome.sidePanel.open({ windowId: currentWindowId });
+  window.close();
+});
+
 // Cleanup quand le popup se ferme
 window.addEventListener('unload', () => {
   if (updateInterval) {
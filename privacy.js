@@ -0,0 +1,40 @@
+/**
+ * privacy.js
+ * Privacy mode: no content extraction, scoring on titles, URLs and behavior only
+ */
+
+import { db } from './db.js';
+import { storage } from './storage.js';
+import { buildTFIDFIndex } from './lite-mode.js';
+import { pauseColdStart } from './cold-start.js';
+
+/**
+ * Enable or disable privacy mode
+ */
+async function setPrivacyMode(enabled) {
+  await storage.updatePreferences({ privacyMode: enabled });
+
+  if (enabled) {
+    console.log('🔒 Privacy mode enabled');
+
+    // Stop any running AI indexing
+    await pauseColdStart();
+
+    // Purge stored extracted text
+    await db.scrubStoredContent();
+
+    // Rebuild TF-IDF from titles only (extraction is disabled from now on)
+    const tabs = await chrome.tabs.query({});
+    await buildTFIDFIndex(tabs);
+
+    await storage.clearSuggestionsCache();
+  } else {
+    console.log('🔓 Privacy mode disabled');
+  }
+
+  return enabled;
+}
+
+export {
+  setPrivacyMode
+};
@@ -19,7 +19,7 @@ async function createBasicRelationships(tab1Id, tab2Id, reason = 'navigation') {
     if (!tab1 || !tab2) return;
     
     // Check if relationship exists
-    const existing = await db.getRelationship(tab1.id, tab2.id);
+    const existing = await db.getRelationshipBetween(tab1.id, tab2.id);
     
     if (existing) {
       // Strengthen existing relationship
@@ -269,10 +269,14 @@ async function applyRelationshipDecay() {
     const relationships = await db.getAllRelationships();
     const now = Date.now();
     const oneWeek = 7 * 24 * 60 * 60 * 1000;
+    // Archived tabs keep their relationships until restored
+    const archivedIds = new Set((await db.getArchivedTabs()).map(record => record.id));
     
     let decayed = 0;
     
     for (const rel of relationships) {
+      if (archivedIds.has(rel.tab1Id) || archivedIds.has(rel.tab2Id)) continue;
+      
       const timeSinceAccess = now - rel.lastAccessedAt;
       
       if (timeSinceAccess > oneWeek) {
@@ -404,7 +408,7 @@ async function initializeRelationships() {
 
         if (hasMeaningfulOverlap) {
           // Check if relationship already exists
-          const existing = await db.getRelationship(tab1.id, tab2.id);
+          const existing = await db.getRelationshipBetween(tab1.id, tab2.id);
           if (!existing) {
             await createBasicRelationships(tab1.tabId, tab2.tabId, 'content');
             created++;
@@ -0,0 +1,73 @@
+/**
+ * score-explanation.js
+ * "Why this suggestion": contribution of each signal to a suggestion score,
+ * shared entities/topics and bonuses (shown in the modal, copyable for bug reports)
+ */
+
+import { db } from './db.js';
+
+const SIGNAL_LABELS = {
+  hybrid: {
+    tfidf: 'Text (BM25)',
+    cosine: 'Cosine similarity',
+    entities: 'Shared entities',
+    topics: 'Shared topics',
+    relationship: 'Relationships',
+    behavioral: 'Navigation habits'
+  },
+  lite: {
+    bm25: 'Text (BM25)',
+    cosine: 'Cosine similarity',
+    ai: 'AI bonus',
+    behavioral: 'Navigation habits',
+    frequency: 'Access frequency',
+    recency: 'Recency',
+    temporal: 'Temporal proximity'
+  }
+};
+
+/**
+ * Common values of two lists (case-insensitive, original case of the first list)
+ */
+function sharedValues(list1 = [], list2 = []) {
+  const lower2 = new Set(list2.map(v => v.toLowerCase()));
+  return [...new Set(list1.filter(v => lower2.has(v.toLowerCase())))];
+}
+
+/**
+ * Add an explanation to scored suggestions (those with a scoreBreakdown)
+ * mode = 'hybrid' | 'lite', weights = weights used for this mode
+ */
+async function explainSuggestions(currentTab, suggestions, mode, weights) {
+  const labels = SIGNAL_LABELS[mode];
+  const currentRecord = await db.getTabByTabId(currentTab.id);
+  const currentContent = currentRecord?.content || {};
+
+  return Promise.all(suggestions.map(async suggestion => {
+    const breakdown = suggestion.scoreBreakdown;
+    if (!breakdown) return suggestion;
+
+    const candidateContent = (await db.getTabByTabId(suggestion.id))?.content || {};
+
+    return {
+      ...suggestion,
+      explanation: {
+        mode,
+        signals: Object.keys(labels).map(key => ({
+          key,
+          label: labels[key],
+          value: breakdown[key] || 0,
+          weight: weights[key] || 0,
+          contribution: (breakdown[key] || 0) * (weights[key] || 0)
+        })),
+        sharedEntities: sharedValues(currentContent.entities, candidateContent.entities),
+        sharedTopics: sharedValues(currentContent.topics, candidateContent.topics),
+        workflowBonus: breakdown.workflowBonus || 0,
+        sameWindowBonus: breakdown.sameWindowBonus || 0,
+        total: suggestion.score
+      }
+    };
+  }));
+}
+
+export { explainSuggestions };
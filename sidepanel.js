@@ -0,0 +1,202 @@
+/**
+ * sidepanel.js
+ * Persistent side panel: related tabs, predicted workflow steps and AI content of the active tab
+ * Re-rendered when the active tab of this window changes
+ */
+
+const currentEl = document.getElementById('current');
+const workflowSection = document.getElementById('workflowSection');
+const workflowDescription = document.getElementById('workflowDescription');
+const workflowSteps = document.getElementById('workflowSteps');
+const relatedList = document.getElementById('relatedList');
+
+const FALLBACK_FAVICON = 'https://placehold.co/32x32/e2e8f0/adb5bd?text=?';
+
+// État
+let windowId = null;
+let activeTabId = null;
+let renderToken = 0;
+
+/**
+ * Initialisation
+ */
+async function init() {
+  await loadTheme();
+
+  windowId = (await chrome.windows.getCurrent()).id;
+
+  const [tab] = await chrome.tabs.query({ active: true, windowId });
+  if (tab) render(tab.id);
+}
+
+/**
+ * Thème de l'utilisateur
+ */
+async function loadTheme() {
+  // Defaults until the config answers (no unstyled flash)
+  TabystTheme.apply();
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'get-theme' });
+    TabystTheme.apply(response?.theme);
+  } catch (error) {
+    console.error('Erreur thème:', error);
+  }
+}
+
+/**
+ * Charge et affiche le contexte d'un onglet
+ */
+async function render(tabId) {
+  activeTabId = tabId;
+  // Ignore les réponses d'un onglet quitté entre-temps
+  const token = ++renderToken;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'get-tab-context', tabId });
+    if (token !== renderToken) return;
+    if (!response?.success) throw new Error(response?.error || 'No context');
+
+    renderCurrent(response.context);
+    renderWorkflow(response.context.workflow);
+    renderRelated(response.context.related);
+  } catch (error) {
+    if (token !== renderToken) return;
+    console.error('Error loading side panel:', error);
+    currentEl.replaceChildren(createElement('div', 'not-indexed', 'Nothing to show for this tab.'));
+    workflowSection.classList.add('hidden');
+    relatedList.replaceChildren();
+  }
+}
+
+/**
+ * Onglet actif: titre, résumé, entités et topics
+ */
+function renderCurrent(context) {
+  const title = createElement('div', 'current-title');
+  title.append(createFavicon(context.tab.favIconUrl), createElement('span', '', context.tab.title || context.tab.url));
+
+  const summary = context.indexed
+    ? createElement('div', 'summary', context.summary)
+    : createElement('div', 'not-indexed', 'Not indexed yet: summary and entities appear once the AI has analysed this page.');
+
+  const chips = createElement('div', 'chips');
+  context.topics.forEach(topic => chips.appendChild(createElement('span', 'chip topic', topic)));
+  context.entities.forEach(entity => chips.appendChild(createElement('span', 'chip', entity)));
+
+  currentEl.replaceChildren(title, summary);
+  if (chips.children.length) currentEl.appendChild(chips);
+}
+
+/**
+ * Prochaines étapes du workflow en cours
+ */
+function renderWorkflow(workflow) {
+  if (!workflow || workflow.steps.length === 0) {
+    workflowSection.classList.add('hidden');
+    return;
+  }
+
+  workflowSection.classList.remove('hidden');
+  workflowDescription.textContent = `${workflow.description} · step ${workflow.position}/${workflow.length} · seen ${workflow.frequency}×`;
+
+  workflowSteps.replaceChildren(...workflow.steps.map(step => {
+    const meta = createElement('div', 'item-meta');
+    meta.appendChild(createStatusBadge(step));
+    return createItem(step, meta);
+  }));
+}
+
+/**
+ * Onglets liés, avec force et type de relation
+ */
+function renderRelated(related) {
+  if (related.length === 0) {
+    relatedList.replaceChildren(createElement('div', 'empty', 'No related tabs yet.'));
+    return;
+  }
+
+  relatedList.replaceChildren(...related.map(item => {
+    const meta = createElement('div', 'item-meta');
+
+    const bar = createElement('div', 'strength-bar');
+    const fill = createElement('div', 'strength-fill');
+    fill.style.width = `${Math.round(item.strength * 100)}%`;
+    bar.appendChild(fill);
+
+    meta.append(
+      bar,
+      createElement('span', '', `${Math.round(item.strength * 100)}%`),
+      createElement('span', 'badge', item.type)
+    );
+    if (!item.tabId) meta.appendChild(createStatusBadge(item));
+
+    const shared = [...item.sharedTopics, ...item.sharedEntities];
+    const element = createItem(item, meta);
+    if (shared.length) element.title = `Shared: ${shared.join(', ')}`;
+    return element;
+  }));
+}
+
+/**
+ * Ligne cliquable (onglet ouvert, fermé ou simple URL)
+ */
+function createItem(item, meta) {
+  const button = createElement('button', 'item');
+  const info = createElement('div', 'item-info');
+  info.append(createElement('div', 'item-title', item.title || item.url), meta);
+  button.append(createFavicon(item.favicon), info);
+  button.addEventListener('click', () => openItem(item));
+  return button;
+}
+
+function createStatusBadge(item) {
+  return item.tabId
+    ? createElement('span', 'badge', 'Open')
+    : createElement('span', 'badge closed', 'Closed');
+}
+
+function createFavicon(src) {
+  const img = createElement('img', 'favicon');
+  img.alt = '';
+  img.src = src || FALLBACK_FAVICON;
+  img.addEventListener('error', () => { img.src = FALLBACK_FAVICON; }, { once: true });
+  return img;
+}
+
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * Ouvre un élément: bascule, réouverture ou nouvel onglet
+ */
+async function openItem(item) {
+  try {
+    if (item.tabId) {
+      await chrome.runtime.sendMessage({ action: 'switch-tab', tabId: item.tabId, sourceTabId: activeTabId });
+    } else if (item.recordId) {
+      const response = await chrome.runtime.sendMessage({ action: 'reopen-closed-tab', recordId: item.recordId, sourceWindowId: windowId });
+      if (!response?.success) throw new Error(response?.error || 'Reopen failed');
+    } else {
+      await chrome.tabs.create({ url: item.url, windowId });
+    }
+  } catch (error) {
+    console.error('Error opening item:', error);
+  }
+}
+
+// Changement d'onglet actif dans cette fenêtre
+chrome.tabs.onActivated.addListener(({ tabId, windowId: activeWindowId }) => {
+  if (activeWindowId === windowId) render(tabId);
+});
+
+// Navigation ou fin de chargement de l'onglet affiché
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (tabId === activeTabId && changeInfo.status === 'complete') render(tabId);
+});
+
+init();
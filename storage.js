@@ -4,6 +4,33 @@
  * Gère le cache chaud et la configuration
  */
 
+/**
+ * Default weights for each scoring signal (hybrid and lite modes)
+ * + bonuses added on top of the weighted score (both modes)
+ */
+const DEFAULT_SCORING_WEIGHTS = {
+  hybrid: {
+    tfidf: 0.18,
+    cosine: 0.12,
+    entities: 0.28,
+    topics: 0.22,
+    relationship: 0.10,
+    behavioral: 0.10
+  },
+  lite: {
+    bm25: 0.20,
+    cosine: 0.15,
+    ai: 0.20,
+    behavioral: 0.15,
+    frequency: 0.10,
+    recency: 0.08,
+    temporal: 0.07
+  },
+  bonuses: {
+    sameWindow: 0.05
+  }
+};
+
 class TabyStorage {
     constructor() {
       this.initialized = false;
@@ -23,9 +50,14 @@ class TabyStorage {
             shortcut: 'Cmd+Shift+L',
             maxSuggestions: 5,
             enableProactiveSuggestions: false,
-            privacyMode: false
+            privacyMode: false,
+            theme: 'system',     // system | light | dark | high-contrast
+            accentColor: 'blue',
+            archiveAfterDays: 7, // archiving recommended for tabs unused this long
+            maxLoadedTabs: 0     // memory budget (0 = never discard tabs)
           },
-          excludedDomains: []
+          excludedDomains: [],
+          scoringWeights: DEFAULT_SCORING_WEIGHTS
         },
         hotCache: {
           currentTabId: null,
@@ -178,10 +210,12 @@ class TabyStorage {
             tabId: s.tabId,
             title: s.title,
             url: s.url,
+            windowId: s.windowId,
             domain: s.domain,
             favicon: s.favIconUrl || s.favicon,
             score: s.score,
             reason: s.reason,
+            explanation: s.explanation || null,
             keywords: s.keywords || []
           }))
         }
@@ -291,6 +325,51 @@ class TabyStorage {
       return config?.coldStartDone || false;
     }
 
+    /**
+     * Met à jour les préférences
+     */
+    async updatePreferences(updates) {
+      const { config } = await this.get('config');
+      return this.updateConfig({
+        preferences: { ...config?.preferences, ...updates }
+      });
+    }
+
+    /**
+     * Thème du modal, du popup et des options (defaults si config ancienne)
+     */
+    async getThemePreferences() {
+      const { config } = await this.get('config');
+      return {
+        theme: config?.preferences?.theme || 'system',
+        accentColor: config?.preferences?.accentColor || 'blue'
+      };
+    }
+
+    /**
+     * Délai avant de proposer l'archivage d'un onglet (jours)
+     */
+    async getArchiveAfterDays() {
+      const { config } = await this.get('config');
+      return config?.preferences?.archiveAfterDays || 7;
+    }
+
+    /**
+     * Nombre max d'onglets chargés (0 = pas de limite)
+     */
+    async getMaxLoadedTabs() {
+      const { config } = await this.get('config');
+      return config?.preferences?.maxLoadedTabs || 0;
+    }
+
+    /**
+     * Vérifie si le mode privé est activé
+     */
+    async isPrivacyModeEnabled() {
+      const { config } = await this.get('config');
+      return config?.preferences?.privacyMode || false;
+    }
+
     /**
      * Set last known tab count for context change detection
      */
@@ -312,10 +391,40 @@ class TabyStorage {
     async clearSuggestionsCache() {
       await this.updateHotCache({ cachedSuggestions: null });
     }
+
+    /**
+     * Get scoring weights (missing signals fall back to defaults)
+     */
+    async getScoringWeights() {
+      const { config } = await this.get('config');
+      const saved = config?.scoringWeights || {};
+
+      return {
+        hybrid: { ...DEFAULT_SCORING_WEIGHTS.hybrid, ...saved.hybrid },
+        lite: { ...DEFAULT_SCORING_WEIGHTS.lite, ...saved.lite },
+        bonuses: { ...DEFAULT_SCORING_WEIGHTS.bonuses, ...saved.bonuses }
+      };
+    }
+
+    /**
+     * Save scoring weights and invalidate cached suggestions
+     */
+    async updateScoringWeights(weights) {
+      const current = await this.getScoringWeights();
+      const scoringWeights = {
+        hybrid: { ...current.hybrid, ...weights.hybrid },
+        lite: { ...current.lite, ...weights.lite },
+        bonuses: { ...current.bonuses, ...weights.bonuses }
+      };
+
+      await this.updateConfig({ scoringWeights });
+      await this.clearSuggestionsCache();
+      return scoringWeights;
+    }
   }
   
   // Instance singleton
   const storage = new TabyStorage();
   
   // Export
-  export { storage, TabyStorage };
\ No newline at end of file
+  export { storage, TabyStorage, DEFAULT_SCORING_WEIGHTS };
\ No newline at end of file
@@ -0,0 +1,26 @@
+/**
+ * switcher.js
+ * Switcher window for pages where the modal can't be injected
+ * (chrome://, new tab page, file://, PDFs, Web Store): runs the content.js modal on an extension page
+ */
+
+(async () => {
+  const sourceTabId = parseInt(new URLSearchParams(location.search).get('tabId'), 10);
+
+  // Defaults until the config answers (no unstyled flash)
+  TabystTheme.apply();
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'get-switcher-data', tabId: sourceTabId });
+    if (!response?.success) throw new Error(response?.error || 'No data');
+
+    TabystTheme.apply(response.theme);
+    TabystModal.open(response, { id: sourceTabId, windowId: response.currentWindowId });
+  } catch (error) {
+    console.error('Error opening switcher:', error);
+    window.close();
+  }
+
+  // A switcher left behind another window is never used again
+  window.addEventListener('blur', () => window.close());
+})();
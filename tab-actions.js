@@ -0,0 +1,111 @@
+/**
+ * tab-actions.js
+ * Actions on one or several tabs from the modal action menu
+ * (close, pin, mute, move to new window, group, copy URL, duplicate)
+ */
+
+/**
+ * Get tabs that still exist
+ */
+async function getExistingTabs(tabIds) {
+  const tabs = await Promise.all(tabIds.map(id => chrome.tabs.get(id).catch(() => null)));
+  return tabs.filter(Boolean);
+}
+
+/**
+ * Close tabs
+ */
+async function closeTabs(tabIds) {
+  const tabs = await getExistingTabs(tabIds);
+  await chrome.tabs.remove(tabs.map(t => t.id));
+  return { count: tabs.length };
+}
+
+/**
+ * Pin tabs, or unpin them if they are all pinned
+ */
+async function togglePinTabs(tabIds) {
+  const tabs = await getExistingTabs(tabIds);
+  const pinned = tabs.some(t => !t.pinned);
+
+  await Promise.all(tabs.map(t => chrome.tabs.update(t.id, { pinned })));
+  return { count: tabs.length, pinned };
+}
+
+/**
+ * Mute tabs, or unmute them if they are all muted
+ */
+async function toggleMuteTabs(tabIds) {
+  const tabs = await getExistingTabs(tabIds);
+  const muted = tabs.some(t => !t.mutedInfo?.muted);
+
+  await Promise.all(tabs.map(t => chrome.tabs.update(t.id, { muted })));
+  return { count: tabs.length, muted };
+}
+
+/**
+ * Move tabs to a new window (first tab opens it, others follow)
+ */
+async function moveTabsToNewWindow(tabIds) {
+  const tabs = await getExistingTabs(tabIds);
+  if (tabs.length === 0) return { count: 0, windowId: null };
+
+  const [first, ...others] = tabs;
+  const newWindow = await chrome.windows.create({ tabId: first.id, focused: true });
+
+  if (others.length > 0) {
+    await chrome.tabs.move(others.map(t => t.id), { windowId: newWindow.id, index: -1 });
+  }
+
+  return { count: tabs.length, windowId: newWindow.id };
+}
+
+/**
+ * Tab groups of a window (for the "Add to group" menu)
+ */
+async function getTabGroups(windowId) {
+  const groups = await chrome.tabGroups.query(windowId ? { windowId } : {});
+  return groups.map(g => ({ id: g.id, title: g.title || 'Untitled group', color: g.color }));
+}
+
+/**
+ * Add tabs to an existing group, or to a new one (groupId null)
+ */
+async function groupTabs(tabIds, groupId = null) {
+  const tabs = await getExistingTabs(tabIds);
+  const ids = tabs.map(t => t.id);
+
+  const resultGroupId = groupId !== null
+    ? await chrome.tabs.group({ tabIds: ids, groupId })
+    : await chrome.tabs.group({ tabIds: ids });
+
+  return { count: tabs.length, groupId: resultGroupId };
+}
+
+/**
+ * URLs of tabs (the content script writes them to the clipboard)
+ */
+async function getTabUrls(tabIds) {
+  const tabs = await getExistingTabs(tabIds);
+  return { count: tabs.length, urls: tabs.map(t => t.url) };
+}
+
+/**
+ * Duplicate tabs
+ */
+async function duplicateTabs(tabIds) {
+  const tabs = await getExistingTabs(tabIds);
+  await Promise.all(tabs.map(t => chrome.tabs.duplicate(t.id)));
+  return { count: tabs.length };
+}
+
+export {
+  closeTabs,
+  togglePinTabs,
+  toggleMuteTabs,
+  moveTabsToNewWindow,
+  getTabGroups,
+  groupTabs,
+  getTabUrls,
+  duplicateTabs
+};
@@ -0,0 +1,101 @@
+/**
+ * tab-discarding.js
+ * Memory budget: keep at most N tabs loaded by discarding (chrome.tabs.discard) the background tabs
+ * the user is least likely to return to soon, ranked with the suggestion scores of the active tab
+ * Discarded tabs keep their place in the tab strip; Chrome reloads them when they are activated
+ */
+
+import { db } from './db.js';
+import { isAccessibleUrl } from './lite-mode.js';
+
+/**
+ * Unsaved input on the page (typed text, changed selection, focused editable content)
+ * Runs in the page
+ */
+function hasDirtyForm() {
+  const fields = [...document.querySelectorAll('input, textarea, select')];
+  const changed = fields.some(field => {
+    if (field.type === 'checkbox' || field.type === 'radio') return field.checked !== field.defaultChecked;
+    if (field.tagName === 'SELECT') return [...field.options].some(option => option.selected !== option.defaultSelected);
+    if (['hidden', 'submit', 'button', 'reset', 'image', 'file'].includes(field.type)) return false;
+    return field.value !== field.defaultValue;
+  });
+
+  return changed || document.activeElement?.isContentEditable === true;
+}
+
+async function isFormDirty(tabId) {
+  try {
+    const [result] = await chrome.scripting.executeScript({ target: { tabId }, func: hasDirtyForm });
+    return result?.result === true;
+  } catch {
+    // Can't tell: keep the tab loaded
+    return true;
+  }
+}
+
+/**
+ * Loaded tabs that may be discarded: not active, pinned, audible or marked non-discardable by Chrome
+ */
+function isDiscardable(tab) {
+  return !tab.active && !tab.pinned && !tab.audible && tab.autoDiscardable !== false &&
+    tab.status === 'complete' && isAccessibleUrl(tab.url);
+}
+
+/**
+ * Discard the least relevant tabs until at most `budget` are loaded
+ * relevance: Map tab id → suggestion score (workflow bonus included); protectedIds: predicted next steps
+ */
+async function discardLeastRelevantTabs(budget, relevance, protectedIds = new Set()) {
+  const loaded = await chrome.tabs.query({ discarded: false });
+  let excess = loaded.length - budget;
+  if (excess <= 0) return { discardedCount: 0 };
+
+  // Least relevant first, then least recently used
+  const candidates = loaded
+    .filter(tab => isDiscardable(tab) && !protectedIds.has(tab.id))
+    .sort((a, b) =>
+      (relevance.get(a.id) || 0) - (relevance.get(b.id) || 0) ||
+      (a.lastAccessed || 0) - (b.lastAccessed || 0)
+    );
+
+  let discardedCount = 0;
+
+  for (const tab of candidates) {
+    if (excess <= 0) break;
+    if (await isFormDirty(tab.id)) continue;
+
+    try {
+      const discarded = await chrome.tabs.discard(tab.id);
+      if (!discarded) continue;
+
+      // Older Chrome versions give the discarded tab a new id
+      if (discarded.id !== tab.id) {
+        await relinkReplacedTab(discarded.id, tab.id);
+      }
+
+      discardedCount++;
+      excess--;
+    } catch (error) {
+      console.error('Error discarding tab:', tab.id, error);
+    }
+  }
+
+  console.log(`💤 Discarded ${discardedCount} tabs (budget ${budget} loaded)`);
+  return { discardedCount };
+}
+
+/**
+ * Keep the tabs_index record of a replaced tab (discard, prerender) on its new id
+ */
+async function relinkReplacedTab(addedTabId, removedTabId) {
+  const record = await db.getTabByTabId(removedTabId);
+  if (record) {
+    await db.updateTab(record.id, { tabId: addedTabId });
+  }
+}
+
+export {
+  discardLeastRelevantTabs,
+  relinkReplacedTab
+};
@@ -0,0 +1,135 @@
+/**
+ * tab-grouping.js
+ * Smart tab grouping: clusters of related open tabs of a window (clustering.js),
+ * named with the Prompt API, applied as native Chrome tab groups after the user reviewed them
+ */
+
+import { db } from './db.js';
+import { isAccessibleUrl } from './lite-mode.js';
+import { filterExcludedTabs } from './exclusions.js';
+import { toDocument, buildSimilarityMatrix, clusterDocuments, labelCluster } from './clustering.js';
+
+const MAX_GROUP_SIZE = 12;
+const GROUP_COLORS = ['blue', 'green', 'purple', 'orange', 'cyan', 'pink', 'yellow', 'red', 'grey'];
+
+/**
+ * Ungrouped, unpinned web tabs of a window with their AI content
+ */
+async function getCandidates(windowId) {
+  const tabs = (await chrome.tabs.query({ windowId }))
+    .filter(tab => !tab.pinned && tab.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE && isAccessibleUrl(tab.url));
+
+  return Promise.all((await filterExcludedTabs(tabs)).map(async tab => ({
+    tab,
+    content: (await db.getTabByTabId(tab.id))?.content || {}
+  })));
+}
+
+/**
+ * Short group name with the Prompt API (null if unavailable)
+ */
+async function generateGroupName(members) {
+  try {
+    if (!('LanguageModel' in self)) {
+      return null;
+    }
+
+    const availability = await LanguageModel.availability();
+    if (availability === 'unavailable') {
+      return null;
+    }
+
+    const session = await LanguageModel.create({
+      temperature: 0.3,
+      topK: 3
+    });
+
+    const tabsText = members.slice(0, 8).map(({ tab, content }) =>
+      `- ${tab.title}${content.topics?.length ? ` (topics: ${content.topics.slice(0, 3).join(', ')})` : ''}`
+    ).join('\n');
+
+    const prompt = `These browser tabs belong together. Give the tab group a short name (1 to 3 words, no punctuation, no quotes).
+
+Tabs:
+${tabsText}
+
+Format:
+NAME: xxx`;
+
+    const response = await session.prompt(prompt);
+    session.destroy();
+
+    const nameLine = response.split('\n').find(l => l.toUpperCase().includes('NAME'));
+    const name = (nameLine ? nameLine.split(':').slice(1).join(':') : response)
+      .replace(/["'*]/g, '')
+      .trim();
+
+    return name && name.length <= 30 ? name : null;
+
+  } catch (error) {
+    console.error('Error naming tab group:', error);
+    return null;
+  }
+}
+
+/**
+ * Proposed groups for a window (nothing is changed until applyTabGroups)
+ */
+async function suggestTabGroups(windowId) {
+  const candidates = await getCandidates(windowId);
+  const similarity = buildSimilarityMatrix(candidates.map(({ tab, content }) => toDocument(tab.id, tab.title, content)));
+  const clusters = clusterDocuments(similarity, { maxSize: MAX_GROUP_SIZE })
+    .filter(cluster => cluster.members.length >= 2);
+
+  const toTab = ({ tab }) => ({ id: tab.id, title: tab.title, url: tab.url, favIconUrl: tab.favIconUrl });
+  const groupedIndexes = new Set(clusters.flatMap(cluster => cluster.members));
+
+  const groups = await Promise.all(clusters.map(async (cluster, index) => {
+    const members = cluster.members.map(i => candidates[i]);
+    return {
+      name: await generateGroupName(members) || labelCluster(members.map(({ tab, content }) => ({ ...tab, content }))),
+      color: GROUP_COLORS[index % GROUP_COLORS.length],
+      cohesion: cluster.cohesion,
+      tabs: members.map(toTab)
+    };
+  }));
+
+  console.log(`🗂️ ${groups.length} tab groups suggested for window ${windowId}`);
+
+  return {
+    windowId,
+    groups,
+    // Other candidates, can be added to a group in the preview
+    ungrouped: candidates.filter((_, i) => !groupedIndexes.has(i)).map(toTab)
+  };
+}
+
+/**
+ * Create native tab groups: [{ name, color, tabIds }] (empty groups are skipped)
+ */
+async function applyTabGroups(groups) {
+  let groupCount = 0;
+  let tabCount = 0;
+
+  for (const group of groups) {
+    const tabs = await Promise.all(group.tabIds.map(id => chrome.tabs.get(id).catch(() => null)));
+    const tabIds = tabs.filter(Boolean).map(tab => tab.id);
+    if (tabIds.length === 0) continue;
+
+    const groupId = await chrome.tabs.group({ tabIds });
+    await chrome.tabGroups.update(groupId, {
+      title: group.name || '',
+      color: GROUP_COLORS.includes(group.color) ? group.color : 'grey'
+    });
+
+    groupCount++;
+    tabCount += tabIds.length;
+  }
+
+  return { count: groupCount, tabCount };
+}
+
+export {
+  suggestTabGroups,
+  applyTabGroups
+};
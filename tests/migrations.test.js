@@ -0,0 +1,204 @@
+/**
+ * migrations.test.js
+ * TabyDB migrations against fake-indexeddb: each version's schema, and upgrades over existing data
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { MIGRATIONS, DB_VERSION, runMigrations, backfillTabRecord } from '../migrations.js';
+
+/**
+ * Open TabyDB at a version, running the migrations like db.init()
+ */
+function openAt(factory, version) {
+  return new Promise((resolve, reject) => {
+    const request = factory.open('TabyDB', version);
+    request.onupgradeneeded = (event) => {
+      // Mute the migration logs only (runMigrations is synchronous)
+      const log = console.log;
+      console.log = () => {};
+      try {
+        runMigrations(request.result, request.transaction, event.oldVersion, event.newVersion);
+      } finally {
+        console.log = log;
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open at `from`, write records ({ storeName: [records] }), then upgrade to `to`
+ */
+async function upgradeWith(from, records, to) {
+  const factory = new IDBFactory();
+  const db = await openAt(factory, from);
+  await put(db, records);
+  db.close();
+  return openAt(factory, to);
+}
+
+function put(db, records) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(Object.keys(records), 'readwrite');
+    Object.entries(records).forEach(([storeName, values]) => {
+      values.forEach(value => transaction.objectStore(storeName).put(value));
+    });
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * All records of a store, or of one of its indexes (query: key or key range)
+ */
+function getAll(db, storeName, indexName = null, query = undefined) {
+  return new Promise((resolve, reject) => {
+    const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+    const request = (indexName ? store.index(indexName) : store).getAll(query);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function indexNames(db, storeName) {
+  return [...db.transaction(storeName, 'readonly').objectStore(storeName).indexNames].sort();
+}
+
+function tabRecord(id, fields = {}) {
+  return {
+    id,
+    tabId: 1,
+    url: `https://example.com/${id}`,
+    urlHash: `hash_${id}`,
+    domain: 'example.com',
+    lastAccessedAt: 1000,
+    flags: { isActive: true, isIndexed: false },
+    ...fields
+  };
+}
+
+test('migrations are numbered 1, 2, 3... and DB_VERSION is the last one', () => {
+  assert.deepEqual(MIGRATIONS.map(migration => migration.version), MIGRATIONS.map((_, i) => i + 1));
+  assert.equal(DB_VERSION, MIGRATIONS.length);
+});
+
+test('v1 creates the initial stores and indexes', async () => {
+  const db = await openAt(new IDBFactory(), 1);
+
+  assert.deepEqual([...db.objectStoreNames].sort(), ['navigation_history', 'tab_relationships', 'tabs_index', 'workflows']);
+  assert.deepEqual(indexNames(db, 'tabs_index'), ['domain', 'isActive', 'isIndexed', 'lastAccessedAt', 'tabId', 'urlHash']);
+  assert.deepEqual(indexNames(db, 'navigation_history'), ['fromTabId', 'timestamp', 'toTabId']);
+  assert.deepEqual(indexNames(db, 'tab_relationships'), ['overallScore', 'tab1', 'tab2']);
+  assert.deepEqual(indexNames(db, 'workflows'), ['frequency', 'lastOccurrence']);
+
+  const store = db.transaction('tabs_index', 'readonly').objectStore('tabs_index');
+  assert.equal(store.keyPath, 'id');
+  db.close();
+});
+
+test('v2 replaces the tab1/tab2 indexes with tab1Id, tab2Id and the tabPair index', async () => {
+  const db = await upgradeWith(1, {
+    tab_relationships: [
+      { id: 'rel_1', tab1Id: 'tab_a', tab2Id: 'tab_b', strength: 0.5 },
+      { id: 'rel_2', tab1Id: 'tab_b', tab2Id: 'tab_c', strength: 0.8 }
+    ]
+  }, 2);
+
+  assert.deepEqual(indexNames(db, 'tab_relationships'), ['overallScore', 'tab1Id', 'tab2Id', 'tabPair']);
+
+  // Existing records are indexed by the new indexes
+  assert.deepEqual((await getAll(db, 'tab_relationships', 'tab1Id', 'tab_b')).map(rel => rel.id), ['rel_2']);
+  assert.deepEqual((await getAll(db, 'tab_relationships', 'tab2Id', 'tab_b')).map(rel => rel.id), ['rel_1']);
+  assert.deepEqual((await getAll(db, 'tab_relationships', 'tabPair', ['tab_a', 'tab_b'])).map(rel => rel.id), ['rel_1']);
+  assert.deepEqual(await getAll(db, 'tab_relationships', 'tabPair', ['tab_b', 'tab_a']), []);
+  db.close();
+});
+
+test('v2 backfills closedAt and tags on existing tab records', async () => {
+  const db = await upgradeWith(1, {
+    tabs_index: [
+      tabRecord('tab_a'),
+      tabRecord('tab_b', { closedAt: 500, tags: ['work'] }),
+      tabRecord('tab_c', { tags: 'not-an-array' })
+    ]
+  }, 2);
+
+  const tabs = new Map((await getAll(db, 'tabs_index')).map(tab => [tab.id, tab]));
+  assert.equal(tabs.get('tab_a').closedAt, null);
+  assert.deepEqual(tabs.get('tab_a').tags, []);
+  assert.equal(tabs.get('tab_b').closedAt, 500);
+  assert.deepEqual(tabs.get('tab_b').tags, ['work']);
+  assert.deepEqual(tabs.get('tab_c').tags, []);
+
+  // Other fields are kept
+  assert.equal(tabs.get('tab_a').url, 'https://example.com/tab_a');
+  assert.deepEqual(tabs.get('tab_a').flags, { isActive: true, isIndexed: false });
+  db.close();
+});
+
+test('v3 adds the clusters store and the clusterId index', async () => {
+  const db = await upgradeWith(2, { tabs_index: [tabRecord('tab_a')] }, 3);
+
+  assert.ok(db.objectStoreNames.contains('clusters'));
+  assert.equal(db.transaction('clusters', 'readonly').objectStore('clusters').keyPath, 'id');
+  assert.ok(indexNames(db, 'tabs_index').includes('clusterId'));
+
+  const [tab] = await getAll(db, 'tabs_index');
+  assert.equal(tab.clusterId, null);
+
+  await put(db, { tabs_index: [tabRecord('tab_b', { clusterId: 'cluster_1' })] });
+  assert.deepEqual((await getAll(db, 'tabs_index', 'clusterId', 'cluster_1')).map(record => record.id), ['tab_b']);
+  db.close();
+});
+
+test('v4 adds the archivedAt index, holding archived records only', async () => {
+  const db = await upgradeWith(3, { tabs_index: [tabRecord('tab_a'), tabRecord('tab_b')] }, 4);
+
+  assert.ok(indexNames(db, 'tabs_index').includes('archivedAt'));
+  const tabs = await getAll(db, 'tabs_index');
+  assert.ok(tabs.every(tab => tab.archivedAt === null));
+  assert.deepEqual(await getAll(db, 'tabs_index', 'archivedAt'), []);
+
+  await put(db, { tabs_index: [tabRecord('tab_c', { archivedAt: 2000 })] });
+  const archived = await getAll(db, 'tabs_index', 'archivedAt', IDBKeyRange.lowerBound(0));
+  assert.deepEqual(archived.map(tab => tab.id), ['tab_c']);
+  db.close();
+});
+
+test('v5 adds the workspaces store with a name index', async () => {
+  const db = await upgradeWith(4, { tabs_index: [tabRecord('tab_a')] }, 5);
+
+  assert.ok(db.objectStoreNames.contains('workspaces'));
+  assert.deepEqual(indexNames(db, 'workspaces'), ['name']);
+
+  await put(db, { workspaces: [{ id: 'ws_1', name: 'Client A', tabs: [], groups: [] }] });
+  assert.deepEqual((await getAll(db, 'workspaces', 'name', 'Client A')).map(ws => ws.id), ['ws_1']);
+
+  // Earlier data is untouched
+  assert.equal((await getAll(db, 'tabs_index')).length, 1);
+  db.close();
+});
+
+test('a fresh install runs every migration', async () => {
+  const db = await openAt(new IDBFactory(), DB_VERSION);
+
+  assert.deepEqual([...db.objectStoreNames].sort(), [
+    'clusters', 'navigation_history', 'tab_relationships', 'tabs_index', 'workflows', 'workspaces'
+  ]);
+  assert.deepEqual(indexNames(db, 'tabs_index'), [
+    'archivedAt', 'clusterId', 'domain', 'isActive', 'isIndexed', 'lastAccessedAt', 'tabId', 'urlHash'
+  ]);
+  db.close();
+});
+
+test('a v1 database upgrades straight to the latest version', async () => {
+  const db = await upgradeWith(1, { tabs_index: [tabRecord('tab_a', { tags: ['work'] })] }, DB_VERSION);
+
+  const [tab] = await getAll(db, 'tabs_index');
+  assert.deepEqual(tab, backfillTabRecord(tabRecord('tab_a', { tags: ['work'] })));
+  assert.ok(db.objectStoreNames.contains('workspaces'));
+  db.close();
+});
@@ -4,7 +4,12 @@
  */
 
 class TFIDF {
-    constructor() {
+    /**
+     * options.indexAllTerms : indexe tous les termes (document frequency exacte) et garde
+     * les termes rares ; stop words filtrés seulement dans la query (utilisé pour la recherche)
+     */
+    constructor(options = {}) {
+      this.options = { indexAllTerms: false, ...options };
       this.documents = [];
       this.documentFreq = new Map();
       this.termFreqs = [];
@@ -59,7 +64,7 @@ class TFIDF {
         if (this.isStopWord(term)) return false;
         
         // Termes trop rares (présent dans 1 seul doc et corpus >10 docs)
-        if (numDocs > 10) {
+        if (!this.options.indexAllTerms && numDocs > 10) {
           const df = this.documentFreq.get(term) || 0;
           if (df === 1) return false;
         }
@@ -92,7 +97,7 @@ class TFIDF {
       });
       
       // Filtre avec statistiques (après mise à jour globale)
-      const filteredTokens = this.filterTerms(tokens);
+      const filteredTokens = this.options.indexAllTerms ? tokens : this.filterTerms(tokens);
       
       // Ajoute bi-grams et tri-grams sur tokens filtrés
       const bigrams = this.extractNGrams(filteredTokens, 2);
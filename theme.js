@@ -0,0 +1,147 @@
+/**
+ * theme.js
+ * Shared theme tokens (--st-*) for the modal, the popup and the options page
+ * Themes: system (follows prefers-color-scheme), light, dark, high-contrast + accent colour
+ * Classic script: injected before content.js, loaded by popup.html and options.html
+ */
+
+// Guard: the content script can be injected several times in the same page
+self.TabystTheme = self.TabystTheme || (() => {
+  const ACCENT_COLORS = {
+    blue: '#3b82f6',
+    violet: '#8b5cf6',
+    green: '#10b981',
+    orange: '#f97316',
+    pink: '#ec4899',
+    teal: '#14b8a6'
+  };
+
+  const DEFAULT_THEME = { theme: 'system', accentColor: 'blue' };
+
+  const THEMES = {
+    light: {
+      scheme: 'light',
+      tokens: {
+        bg: '#ffffff',
+        surface: '#f9fafb',
+        hover: '#f3f4f6',
+        text: '#1f2937',
+        'text-secondary': '#4b5563',
+        'text-light': '#6b7280',
+        'text-faint': '#9ca3af',
+        border: '#e5e7eb',
+        'border-strong': '#d1d5db',
+        overlay: 'rgba(24, 30, 40, 0.5)',
+        shadow: '0 25px 50px -12px rgba(0, 0, 0, 0.25)',
+        mark: '#fef08a',
+        'warning-bg': '#fef3c7',
+        'warning-text': '#a16207',
+        'success-bg': '#dcfce7',
+        'success-text': '#15803d',
+        danger: '#b91c1c',
+        'accent-strong': 'color-mix(in srgb, var(--st-accent) 85%, black)',
+        'accent-text': 'color-mix(in srgb, var(--st-accent) 80%, black)',
+        'accent-soft': 'color-mix(in srgb, var(--st-accent) 12%, transparent)',
+        'accent-border': 'color-mix(in srgb, var(--st-accent) 35%, transparent)'
+      }
+    },
+    dark: {
+      scheme: 'dark',
+      tokens: {
+        bg: '#1f2937',
+        surface: '#111827',
+        hover: '#374151',
+        text: '#f9fafb',
+        'text-secondary': '#d1d5db',
+        'text-light': '#9ca3af',
+        'text-faint': '#6b7280',
+        border: '#374151',
+        'border-strong': '#4b5563',
+        overlay: 'rgba(0, 0, 0, 0.6)',
+        shadow: '0 25px 50px -12px rgba(0, 0, 0, 0.6)',
+        mark: 'rgba(250, 204, 21, 0.35)',
+        'warning-bg': 'rgba(245, 158, 11, 0.2)',
+        'warning-text': '#fbbf24',
+        'success-bg': 'rgba(34, 197, 94, 0.2)',
+        'success-text': '#4ade80',
+        danger: '#f87171',
+        'accent-strong': 'color-mix(in srgb, var(--st-accent) 85%, black)',
+        'accent-text': 'color-mix(in srgb, var(--st-accent) 65%, white)',
+        'accent-soft': 'color-mix(in srgb, var(--st-accent) 20%, transparent)',
+        'accent-border': 'color-mix(in srgb, var(--st-accent) 45%, transparent)'
+      }
+    },
+    'high-contrast': {
+      scheme: 'dark',
+      tokens: {
+        bg: '#000000',
+        surface: '#000000',
+        hover: '#1a1a1a',
+        text: '#ffffff',
+        'text-secondary': '#ffffff',
+        'text-light': '#e5e5e5',
+        'text-faint': '#cccccc',
+        border: '#ffffff',
+        'border-strong': '#ffffff',
+        overlay: 'rgba(0, 0, 0, 0.8)',
+        shadow: 'none',
+        mark: '#ffff00',
+        'mark-text': '#000000',
+        'warning-bg': '#000000',
+        'warning-text': '#ffff00',
+        'success-bg': '#000000',
+        'success-text': '#00ff00',
+        danger: '#ff6b6b',
+        'accent-strong': 'var(--st-accent)',
+        'accent-text': 'color-mix(in srgb, var(--st-accent) 40%, white)',
+        'accent-soft': 'color-mix(in srgb, var(--st-accent) 35%, transparent)',
+        'accent-border': '#ffffff'
+      }
+    }
+  };
+
+  function declarations(theme, accent) {
+    const tokens = { ...theme.tokens, accent, 'on-accent': '#ffffff' };
+    return [
+      `color-scheme: ${theme.scheme};`,
+      ...Object.entries(tokens).map(([name, value]) => `--st-${name}: ${value};`)
+    ].join(' ');
+  }
+
+  /**
+   * CSS declaring the tokens on a selector (':host' in the modal, ':root' in extension pages)
+   */
+  function buildCss(selector, preferences = {}) {
+    const { theme, accentColor } = { ...DEFAULT_THEME, ...preferences };
+    const accent = ACCENT_COLORS[accentColor] || ACCENT_COLORS[DEFAULT_THEME.accentColor];
+
+    if (THEMES[theme]) {
+      return `${selector} { ${declarations(THEMES[theme], accent)} }`;
+    }
+
+    // System: light, dark when the OS asks for it
+    return `${selector} { ${declarations(THEMES.light, accent)} }
+      @media (prefers-color-scheme: dark) { ${selector} { ${declarations(THEMES.dark, accent)} } }`;
+  }
+
+  /**
+   * Apply the theme to an extension page (popup, options)
+   */
+  function apply(preferences) {
+    let style = document.getElementById('tabyst-theme');
+    if (!style) {
+      style = document.createElement('style');
+      style.id = 'tabyst-theme';
+      document.head.appendChild(style);
+    }
+    style.textContent = buildCss(':root', preferences);
+  }
+
+  return {
+    THEMES: ['system', ...Object.keys(THEMES)],
+    ACCENT_COLORS,
+    DEFAULT_THEME,
+    buildCss,
+    apply
+  };
+})();
@@ -207,6 +207,56 @@ async function predictNextTab(currentTabId) {
   }
 }
 
+/**
+ * Predict the next steps of the best workflow containing the current tab
+ * (rest of its pattern, with the open or closed tab of each URL)
+ */
+async function predictNextSteps(currentTabId, maxSteps = 3) {
+  try {
+    const currentTab = await db.getTabByTabId(currentTabId);
+    if (!currentTab) return null;
+    
+    const workflows = await db.getAllWorkflows();
+    
+    const match = workflows
+      .map(workflow => ({ workflow, position: workflow.pattern.indexOf(currentTab.url) }))
+      .filter(m => m.position !== -1 && m.position < m.workflow.pattern.length - 1)
+      .sort((a, b) => b.workflow.confidence - a.workflow.confidence)[0];
+    
+    if (!match) return null;
+    
+    const allTabs = await db.getAllTabs();
+    const nextUrls = match.workflow.pattern.slice(match.position + 1, match.position + 1 + maxSteps);
+    
+    const steps = nextUrls.map(url => {
+      // Open tab first, else the closed one (can be reopened)
+      const record = allTabs.find(t => t.url === url && t.flags.isActive) || allTabs.find(t => t.url === url);
+      
+      return {
+        url,
+        title: record?.title || url,
+        favicon: record?.favicon || null,
+        tabId: record?.flags.isActive ? record.tabId : null,
+        recordId: record?.id || null
+      };
+    });
+    
+    return {
+      workflowId: match.workflow.id,
+      description: await describeWorkflow(match.workflow),
+      frequency: match.workflow.frequency,
+      confidence: match.workflow.confidence,
+      position: match.position + 1,
+      length: match.workflow.pattern.length,
+      steps
+    };
+    
+  } catch (error) {
+    console.error('Error predicting next steps:', error);
+    return null;
+  }
+}
+
 /**
  * Describe a workflow using AI (optional enhancement)
  */
@@ -307,6 +357,7 @@ export {
   extractSequences,
   detectWorkflows,
   predictNextTab,
+  predictNextSteps,
   describeWorkflow,
   getWorkflowSuggestions,
   updateWorkflows,
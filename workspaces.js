@@ -0,0 +1,279 @@
+/**
+ * workspaces.js
+ * Named workspaces: a window, a tab group or a project cluster saved as URLs (order, pinned state,
+ * tab groups) with references to their tabs_index records
+ * Opening a workspace reopens its tabs in a new window and re-links them to those records,
+ * so summaries, relationships and history carry over
+ */
+
+import { db } from './db.js';
+import { isAccessibleUrl } from './lite-mode.js';
+import { filterExcludedTabs } from './exclusions.js';
+import { getClusters } from './clustering.js';
+
+// chrome.storage.session: window id → workspace shown in it (saved back when switching away)
+const WINDOWS_KEY = 'workspaceWindows';
+
+async function getWorkspaceWindows() {
+  const { [WINDOWS_KEY]: windows } = await chrome.storage.session.get(WINDOWS_KEY);
+  return windows || {};
+}
+
+async function setWindowWorkspace(windowId, workspaceId) {
+  const windows = await getWorkspaceWindows();
+  windows[windowId] = workspaceId;
+  await chrome.storage.session.set({ [WINDOWS_KEY]: windows });
+}
+
+async function forgetWorkspaceWindow(windowId) {
+  const windows = await getWorkspaceWindows();
+  if (!(windowId in windows)) return;
+  delete windows[windowId];
+  await chrome.storage.session.set({ [WINDOWS_KEY]: windows });
+}
+
+/**
+ * Tabs to save: { windowId } | { groupId } | { clusterId }, in tab strip order
+ */
+async function getSourceTabs({ windowId, groupId, clusterId }) {
+  let tabs;
+
+  if (clusterId) {
+    const { clusters } = await getClusters();
+    const cluster = clusters.find(c => c.id === clusterId);
+    if (!cluster) throw new Error('Project not found');
+
+    const ids = new Set(cluster.tabs.map(tab => tab.id));
+    tabs = (await chrome.tabs.query({})).filter(tab => ids.has(tab.id));
+  } else if (groupId) {
+    tabs = await chrome.tabs.query({ groupId });
+  } else {
+    tabs = await chrome.tabs.query({ windowId });
+  }
+
+  tabs.sort((a, b) => a.windowId - b.windowId || a.index - b.index);
+  return filterExcludedTabs(tabs.filter(tab => isAccessibleUrl(tab.url)));
+}
+
+/**
+ * What can be saved from a window: the window itself, its tab groups, open projects
+ */
+async function getWorkspaceSources(windowId) {
+  const [tabs, groups, { clusters }, windows] = await Promise.all([
+    getSourceTabs({ windowId }),
+    chrome.tabGroups.query({ windowId }),
+    getClusters(),
+    getWorkspaceWindows()
+  ]);
+  const current = windows[windowId] ? await db.getWorkspace(windows[windowId]) : null;
+
+  return {
+    window: { windowId, tabCount: tabs.length, workspaceName: current?.name || null },
+    groups: groups.map(group => ({
+      groupId: group.id,
+      title: group.title || '',
+      color: group.color,
+      tabCount: tabs.filter(tab => tab.groupId === group.id).length
+    })),
+    clusters: clusters
+      .filter(cluster => cluster.tabs.length >= 2)
+      .map(cluster => ({ clusterId: cluster.id, label: cluster.label, tabCount: cluster.tabs.length }))
+  };
+}
+
+/**
+ * Save tabs as a named workspace (a workspace with the same name is replaced)
+ * source = { windowId } | { groupId } | { clusterId }
+ */
+async function saveWorkspace(name, source) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) throw new Error('Workspace name required');
+
+  const tabs = await getSourceTabs(source);
+  if (tabs.length === 0) throw new Error('No tabs to save');
+
+  // Chrome tab groups → index into workspace.groups
+  const groups = [];
+  const groupIndexes = new Map();
+  for (const tab of tabs) {
+    if (tab.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE || groupIndexes.has(tab.groupId)) continue;
+    const group = await chrome.tabGroups.get(tab.groupId).catch(() => null);
+    if (!group) continue;
+    groupIndexes.set(tab.groupId, groups.length);
+    groups.push({ title: group.title || '', color: group.color, collapsed: group.collapsed });
+  }
+
+  const savedTabs = await Promise.all(tabs.map(async tab => ({
+    url: tab.url,
+    title: tab.title,
+    favIconUrl: tab.favIconUrl || null,
+    pinned: tab.pinned,
+    groupIndex: groupIndexes.get(tab.groupId) ?? null,
+    recordId: (await db.getTabByTabId(tab.id))?.id || null
+  })));
+
+  const existing = await db.getWorkspaceByName(trimmed);
+  const now = Date.now();
+  const workspace = await db.saveWorkspace({
+    id: existing?.id || `ws_${now}_${Math.random().toString(36).substr(2, 9)}`,
+    name: trimmed,
+    source: source.clusterId ? 'cluster' : source.groupId ? 'group' : 'window',
+    tabs: savedTabs,
+    groups,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    lastOpenedAt: existing?.lastOpenedAt || null
+  });
+
+  // A saved window is now this workspace (switching away saves it again)
+  if (!source.clusterId && !source.groupId) {
+    await setWindowWorkspace(source.windowId, workspace.id);
+  }
+
+  console.log(`💼 Workspace saved: ${workspace.name} (${savedTabs.length} tabs)`);
+  return summarize(workspace);
+}
+
+function summarize(workspace, openWindowId = null) {
+  return {
+    id: workspace.id,
+    name: workspace.name,
+    source: workspace.source,
+    tabCount: workspace.tabs.length,
+    groupCount: workspace.groups.length,
+    favIconUrl: workspace.tabs.find(tab => tab.favIconUrl)?.favIconUrl || null,
+    updatedAt: workspace.updatedAt,
+    lastOpenedAt: workspace.lastOpenedAt,
+    openWindowId
+  };
+}
+
+/**
+ * Saved workspaces, most recently used first (openWindowId: window showing it, if any)
+ */
+async function listWorkspaces() {
+  const [workspaces, windows, openWindows] = await Promise.all([
+    db.getAllWorkspaces(),
+    getWorkspaceWindows(),
+    chrome.windows.getAll()
+  ]);
+  const openIds = new Set(openWindows.map(win => win.id));
+  const windowByWorkspace = new Map(Object.entries(windows)
+    .filter(([windowId]) => openIds.has(Number(windowId)))
+    .map(([windowId, workspaceId]) => [workspaceId, Number(windowId)]));
+
+  return workspaces
+    .sort((a, b) => Math.max(b.lastOpenedAt || 0, b.updatedAt) - Math.max(a.lastOpenedAt || 0, a.updatedAt))
+    .map(workspace => summarize(workspace, windowByWorkspace.get(workspace.id) ?? null));
+}
+
+/**
+ * Link a reopened tab to its saved record, unless the record belongs to another open tab
+ */
+async function relinkRecord(recordId, tabId) {
+  const record = recordId ? await db.getTab(recordId) : null;
+  if (!record) return false;
+
+  if (record.flags?.isActive && record.tabId !== tabId) {
+    const owner = await chrome.tabs.get(record.tabId).catch(() => null);
+    if (owner) return false;
+  }
+
+  await db.updateTab(record.id, {
+    tabId,
+    closedAt: null,
+    archivedAt: null,
+    flags: { ...record.flags, isActive: true }
+  });
+  return true;
+}
+
+/**
+ * Reopen a workspace in a new window: tabs in order, pinned state, tab groups, records re-linked
+ */
+async function openWorkspace(id) {
+  const workspace = await db.getWorkspace(id);
+  if (!workspace) throw new Error('Workspace not found');
+
+  // Already open: focus its window
+  const windows = await getWorkspaceWindows();
+  const openWindowId = Object.keys(windows).map(Number).find(windowId => windows[windowId] === id);
+  if (openWindowId !== undefined) {
+    const win = await chrome.windows.update(openWindowId, { focused: true }).catch(() => null);
+    if (win) return { windowId: win.id, tabCount: workspace.tabs.length, linked: 0 };
+  }
+
+  const win = await chrome.windows.create({ focused: true });
+  const blankTabId = win.tabs[0].id;
+
+  const created = [];
+  for (const [index, saved] of workspace.tabs.entries()) {
+    const tab = await chrome.tabs.create({ windowId: win.id, url: saved.url, pinned: saved.pinned, active: index === 0 });
+    created.push({ saved, tab });
+  }
+  await chrome.tabs.remove(blankTabId);
+
+  for (const [groupIndex, group] of workspace.groups.entries()) {
+    const tabIds = created.filter(({ saved }) => saved.groupIndex === groupIndex).map(({ tab }) => tab.id);
+    if (tabIds.length === 0) continue;
+
+    const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId: win.id } });
+    await chrome.tabGroups.update(groupId, { title: group.title, color: group.color, collapsed: group.collapsed });
+  }
+
+  let linked = 0;
+  for (const { saved, tab } of created) {
+    if (await relinkRecord(saved.recordId, tab.id)) linked++;
+  }
+
+  await db.saveWorkspace({ ...workspace, lastOpenedAt: Date.now() });
+  await setWindowWorkspace(win.id, id);
+
+  console.log(`💼 Workspace opened: ${workspace.name} (${created.length} tabs, ${linked} records re-linked)`);
+  return { windowId: win.id, tabCount: created.length, linked };
+}
+
+/**
+ * One-step switch: save the workspace shown in this window, open the other one, close this window
+ * (a window that isn't a workspace is left open: nothing would save its tabs)
+ */
+async function switchWorkspace(id, fromWindowId) {
+  const windows = await getWorkspaceWindows();
+  const currentId = fromWindowId ? windows[fromWindowId] : null;
+  if (currentId === id) {
+    return { windowId: fromWindowId, switched: false };
+  }
+
+  const current = currentId ? await db.getWorkspace(currentId) : null;
+  if (current) {
+    await saveWorkspace(current.name, { windowId: fromWindowId });
+  }
+
+  const result = await openWorkspace(id);
+
+  if (current && result.windowId !== fromWindowId) {
+    await chrome.windows.remove(fromWindowId);
+    await forgetWorkspaceWindow(fromWindowId);
+  }
+
+  return { ...result, switched: true, closedWorkspace: current?.name || null };
+}
+
+async function deleteWorkspace(id) {
+  await db.deleteWorkspace(id);
+
+  const windows = await getWorkspaceWindows();
+  await chrome.storage.session.set({
+    [WINDOWS_KEY]: Object.fromEntries(Object.entries(windows).filter(([, workspaceId]) => workspaceId !== id))
+  });
+}
+
+export {
+  getWorkspaceSources,
+  saveWorkspace,
+  listWorkspaces,
+  openWorkspace,
+  switchWorkspace,
+  deleteWorkspace,
+  forgetWorkspaceWindow
+};